@@ -0,0 +1,19 @@
+/**
+ * Handler for downloading the certificate authority used for HTTPS
+ * @module api/handlers/certificateHandler
+ */
+
+import { getCertificateAuthorityPem } from '../../tls/certificateAuthority.js';
+
+/**
+ * Handles GET requests to /mockserver/certificate with the CA certificate to add to
+ * client trust stores
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export function certificateHandler(req, res) {
+  res.status(200)
+    .type('application/x-pem-file')
+    .set('Content-Disposition', 'attachment; filename="mocksrv-ca.pem"')
+    .send(getCertificateAuthorityPem());
+}
@@ -4,6 +4,7 @@
  */
 
 import { clearExpectations, removeExpectation } from '../../../expectations/expectationStore.js';
+import { clearRequestHistory } from '../retrieveHandler.js';
 
 /**
  * Handles request for clearing all expectations
@@ -23,24 +24,33 @@ export async function clearExpectationsHandler(req, res) {
       });
     }
 
-    
+    const clearsExpectations = typeNormalized !== 'log';
+    const clearsLog = typeNormalized !== 'expectations';
+
     if (Object.keys(req.body).length > 0) {
       const requestBody = req.body;
       
       
       if (requestBody.id && Object.keys(requestBody).length === 1) {
-        const success = await removeExpectation(requestBody.id);
-        if (!success) {
-          
-          return res.status(400).json({
-            error: 'incorrect request format',
-            message: `Expectation with id ${requestBody.id} not found`
-          });
+        if (clearsExpectations) {
+          const success = await removeExpectation(requestBody.id);
+          if (!success) {
+            
+            return res.status(400).json({
+              error: 'incorrect request format',
+              message: `Expectation with id ${requestBody.id} not found`
+            });
+          }
         }
       } 
       
-      else if (requestBody.method || requestBody.path) {
-        await clearExpectations({ request: requestBody });
+      else if (requestBody.method || requestBody.path || requestBody.specUrlOrPayload) {
+        if (clearsExpectations) {
+          await clearExpectations({ request: requestBody });
+        }
+        if (clearsLog) {
+          clearRequestHistory(requestBody);
+        }
       }
       else {
         return res.status(400).json({
@@ -49,7 +59,12 @@ export async function clearExpectationsHandler(req, res) {
         });
       }
     } else {
-      await clearExpectations();
+      if (clearsExpectations) {
+        await clearExpectations();
+      }
+      if (clearsLog) {
+        clearRequestHistory();
+      }
     }
 
     
@@ -0,0 +1,82 @@
+/**
+ * Handler for creating expectations from an OpenAPI specification
+ * @module api/handlers/openapiHandler
+ */
+
+import { getAllExpectations, upsertExpectation } from '../../expectations/expectationStore.js';
+import { buildOpenAPIExpectations } from '../../openapi/expectationGenerator.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Finds the ID of an existing expectation for the same spec and operation, so that
+ * loading a spec again replaces its expectations instead of duplicating them
+ * @param {Object} httpRequest - OpenAPI request definition
+ * @returns {string|undefined} Expectation ID
+ */
+function findExistingExpectationId(httpRequest) {
+  const existing = getAllExpectations().find(expectation =>
+    expectation.httpRequest &&
+    expectation.httpRequest.specUrlOrPayload === httpRequest.specUrlOrPayload &&
+    expectation.httpRequest.operationId === httpRequest.operationId
+  );
+  return existing && existing.id;
+}
+
+/**
+ * Handles PUT requests to /mockserver/openapi
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<void>}
+ */
+export async function openAPIExpectationHandler(req, res) {
+  const { specUrlOrPayload, operationsAndResponses } = req.body || {};
+
+  if (typeof specUrlOrPayload !== 'string' || specUrlOrPayload.trim() === '') {
+    return res.status(400).json({
+      error: 'incorrect request format',
+      message: 'specUrlOrPayload must be a non-empty string'
+    });
+  }
+  if (operationsAndResponses !== undefined &&
+      (typeof operationsAndResponses !== 'object' || Array.isArray(operationsAndResponses))) {
+    return res.status(400).json({
+      error: 'incorrect request format',
+      message: 'operationsAndResponses must map operationIds to status codes'
+    });
+  }
+
+  let expectations;
+  try {
+    expectations = buildOpenAPIExpectations(specUrlOrPayload, operationsAndResponses);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'incorrect request format',
+      message: error.message
+    });
+  }
+
+  try {
+    const results = [];
+    for (const expectation of expectations) {
+      const id = findExistingExpectationId(expectation.httpRequest);
+      results.push(await upsertExpectation(id ? { id, ...expectation } : expectation));
+    }
+
+    logger.info('Expectations created from OpenAPI specification', {
+      event: 'OPENAPI_EXPECTATIONS_CREATED',
+      count: results.length
+    });
+
+    res.status(201).json(results);
+  } catch (error) {
+    logger.error({
+      type: 'openapi_expectation_error',
+      error: error.message
+    }, `Error creating expectations from OpenAPI specification: ${error.message}`);
+
+    res.status(406).json({
+      error: 'invalid expectation',
+      message: error.message
+    });
+  }
+}
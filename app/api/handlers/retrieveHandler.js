@@ -10,6 +10,29 @@ import { matchRequest } from '../../expectations/matchers/matcher.js';
 
 let requestHistory = [];
 let requestResponseHistory = [];
+let recordedExpectations = [];
+
+/**
+ * Whether forwarded exchanges are recorded as expectations
+ * @type {boolean}
+ */
+let expectationRecordingEnabled = false;
+
+/**
+ * Turns recording of forwarded exchanges as expectations on or off
+ * @param {boolean} enabled - Whether to record
+ */
+export function setExpectationRecording(enabled) {
+  expectationRecordingEnabled = enabled;
+}
+
+/**
+ * Checks whether forwarded exchanges are recorded as expectations
+ * @returns {boolean} True if recording is on
+ */
+export function isExpectationRecordingEnabled() {
+  return expectationRecordingEnabled;
+}
 
 /**
  * Dodaje request do historii
@@ -30,25 +53,96 @@ export function recordRequest(request) {
  * Dodaje request i response do historii
  * @param {Object} request - Request
  * @param {Object} response - Response
+ * @param {Object} [forwardedRequest] - Request actually sent upstream, when it differs from the received one
  */
-export function recordRequestResponse(request, response) {
+export function recordRequestResponse(request, response, forwardedRequest) {
   
   if (requestResponseHistory.length >= 100) {
     requestResponseHistory.shift();
   }
-  requestResponseHistory.push({
+  const entry = {
     timestamp: new Date().toISOString(),
     httpRequest: request,
     httpResponse: response
-  });
+  };
+  if (forwardedRequest) {
+    const { rawBody, originalUrl, ...forwardedHttpRequest } = forwardedRequest;
+    entry.forwardedHttpRequest = forwardedHttpRequest;
+  }
+  requestResponseHistory.push(entry);
+}
+
+/**
+ * Records an expectation built from a forwarded request and its response
+ * @param {Object} request - Request as received
+ * @param {Object} expectation - Expectation replaying the exchange
+ */
+export function recordExpectation(request, expectation) {
+  
+  if (recordedExpectations.length >= 100) {
+    const [dropped] = recordedExpectations.splice(0, 1);
+    logger.debug('Recorded expectation limit reached, dropping the oldest', {
+      event: 'RECORDED_EXPECTATION_DROPPED',
+      method: dropped.httpRequest.method,
+      path: dropped.httpRequest.path
+    });
+  }
+  recordedExpectations.push({ httpRequest: request, expectation });
 }
 
 /**
  * Czyści historię requestów
+ * @param {Object} [requestDefinition] - Only clear requests matching this definition
+ */
+export function clearRequestHistory(requestDefinition) {
+  if (!requestDefinition) {
+    requestHistory = [];
+    requestResponseHistory = [];
+    recordedExpectations = [];
+    return;
+  }
+
+  requestHistory = requestHistory.filter(request => !matchesRequestDefinition(request, requestDefinition));
+  requestResponseHistory = requestResponseHistory.filter(item => !matchesRequestDefinition(item.httpRequest, requestDefinition));
+  recordedExpectations = recordedExpectations.filter(item => !matchesRequestDefinition(item.httpRequest, requestDefinition));
+}
+
+/**
+ * Returns the recorded request history, oldest first
+ * @returns {Array<Object>} Recorded requests
+ */
+export function getRequestHistory() {
+  return requestHistory;
+}
+
+/**
+ * Returns the recorded request and response pairs, oldest first
+ * @returns {Array<Object>} Recorded request and response pairs
+ */
+export function getRequestResponseHistory() {
+  return requestResponseHistory;
+}
+
+/**
+ * Returns the expectations recorded from forwarded requests, oldest first
+ * @returns {Array<Object>} Recorded expectations
+ */
+export function getRecordedExpectations() {
+  return recordedExpectations.map(item => item.expectation);
+}
+
+/**
+ * Checks whether a recorded request satisfies a request definition
+ * @param {Object} request - Recorded request
+ * @param {Object} requestDefinition - Request definition to match against
+ * @returns {boolean} True if the request matches the definition
  */
-export function clearRequestHistory() {
-  requestHistory = [];
-  requestResponseHistory = [];
+export function matchesRequestDefinition(request, requestDefinition) {
+  try {
+    return matchRequest({ httpRequest: requestDefinition }, request);
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
@@ -61,13 +155,7 @@ function filterRequestHistory(requestDefinition) {
     return requestHistory;
   }
   
-  return requestHistory.filter(request => {
-    try {
-      return matchRequest(request, requestDefinition);
-    } catch (error) {
-      return false;
-    }
-  });
+  return requestHistory.filter(request => matchesRequestDefinition(request, requestDefinition));
 }
 
 /**
@@ -80,13 +168,22 @@ function filterRequestResponseHistory(requestDefinition) {
     return requestResponseHistory;
   }
   
-  return requestResponseHistory.filter(item => {
-    try {
-      return matchRequest(item.httpRequest, requestDefinition);
-    } catch (error) {
-      return false;
-    }
-  });
+  return requestResponseHistory.filter(item => matchesRequestDefinition(item.httpRequest, requestDefinition));
+}
+
+/**
+ * Filters the recorded expectations by the requests they were recorded from
+ * @param {Object} requestDefinition - Request definition to filter by
+ * @returns {Array} Recorded expectations
+ */
+function filterRecordedExpectations(requestDefinition) {
+  if (!requestDefinition || Object.keys(requestDefinition).length === 0) {
+    return getRecordedExpectations();
+  }
+
+  return recordedExpectations
+    .filter(item => matchesRequestDefinition(item.httpRequest, requestDefinition))
+    .map(item => item.expectation);
 }
 
 /**
@@ -248,10 +345,31 @@ export function retrieveHandler(req, res) {
         break;
       }
 
-      case 'recorded_expectations':
+      case 'recorded_expectations': {
         
-        res.status(200).json([]);
+        const expectations = filterRecordedExpectations(requestFilter);
+        
+        switch (format) {
+          case 'json':
+            res.status(200).json(expectations);
+            break;
+          case 'java':
+            res.status(200).type('application/java').send(
+              `List<Expectation> expectations = Arrays.asList(\n${
+                expectations.map(exp => `    new Expectation(${JSON.stringify(exp)})`).join(',\n')
+              }\n);`
+            );
+            break;
+          case 'log_entries':
+            res.status(200).type('text/plain').send(
+              expectations.map(exp =>
+                `RECORDED_EXPECTATION ${exp.httpRequest.method} ${exp.httpRequest.path}: ${JSON.stringify(exp)}`
+              ).join('\n')
+            );
+            break;
+        }
         break;
+      }
 
       case 'logs':
         
@@ -0,0 +1,250 @@
+/**
+ * Handler for verifying that requests have been received
+ * @module api/handlers/verifyHandler
+ */
+
+import { getExpectation } from '../../expectations/expectationStore.js';
+import { getRequestHistory, matchesRequestDefinition } from './retrieveHandler.js';
+import logger from '../../utils/logger.js';
+
+const MAX_CLOSEST_REQUESTS = 3;
+
+/**
+ * Resolves an expectation ID, given as a string or as `{ id }`, to its request definition
+ * @param {string|Object} expectationId - Expectation ID
+ * @returns {Object|null} Request definition or null if the expectation does not exist
+ */
+function resolveExpectationId(expectationId) {
+  const id = typeof expectationId === 'object' ? expectationId.id : expectationId;
+  const expectation = getExpectation(id);
+  return expectation ? expectation.httpRequest : null;
+}
+
+/**
+ * Resolves the request definition to verify, either given directly or through an expectation ID
+ * @param {Object} verification - Verification body
+ * @returns {Object|null} Request definition or null if it cannot be resolved
+ */
+function resolveRequestDefinition(verification) {
+  if (verification.httpRequest) {
+    return verification.httpRequest;
+  }
+
+  if (verification.expectationId) {
+    return resolveExpectationId(verification.expectationId);
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes verification times, defaulting to "at least once"
+ * @param {Object} [times] - Times object with atLeast and/or atMost
+ * @returns {{atLeast: number, atMost: number|undefined}} Normalized bounds
+ */
+function normalizeTimes(times = {}) {
+  const atMost = times.atMost;
+  const atLeast = times.atLeast !== undefined ? times.atLeast : (atMost !== undefined ? 0 : 1);
+
+  if (!Number.isInteger(atLeast) || atLeast < 0) {
+    throw new Error('times.atLeast must be a non-negative integer');
+  }
+  if (atMost !== undefined && (!Number.isInteger(atMost) || atMost < atLeast)) {
+    throw new Error('times.atMost must be an integer greater than or equal to times.atLeast');
+  }
+
+  return { atLeast, atMost };
+}
+
+/**
+ * Describes verification times in human-readable form
+ * @param {{atLeast: number, atMost: number|undefined}} times - Normalized bounds
+ * @returns {string} Description such as "exactly 2 times"
+ */
+function describeTimes({ atLeast, atMost }) {
+  const plural = count => `${count} ${count === 1 ? 'time' : 'times'}`;
+
+  if (atMost === undefined) {
+    return `at least ${plural(atLeast)}`;
+  }
+  if (atLeast === atMost) {
+    return `exactly ${plural(atLeast)}`;
+  }
+  if (atLeast === 0) {
+    return `at most ${plural(atMost)}`;
+  }
+  return `between ${atLeast} and ${plural(atMost)}`;
+}
+
+/**
+ * Strips recording internals from a request before it is shown in a report
+ * @param {Object} request - Recorded request
+ * @returns {Object} Request as presented to the client
+ */
+function toReportedRequest(request) {
+  const { method, path, query, headers, body } = request;
+  return { method, path, queryStringParameters: query, headers, body };
+}
+
+/**
+ * Lists the fields of a request definition that a recorded request does not satisfy
+ * @param {Object} request - Recorded request
+ * @param {Object} requestDefinition - Request definition
+ * @returns {Array<string>} Names of mismatched fields
+ */
+function findMismatchedFields(request, requestDefinition) {
+  return Object.keys(requestDefinition).filter(field =>
+    !matchesRequestDefinition(request, { [field]: requestDefinition[field] })
+  );
+}
+
+/**
+ * Builds a report of the recorded requests closest to a request definition
+ * @param {Array<Object>} requests - Recorded requests
+ * @param {Object} requestDefinition - Request definition
+ * @returns {string} Human-readable report
+ */
+function describeClosestRequests(requests, requestDefinition) {
+  if (requests.length === 0) {
+    return 'no requests have been received';
+  }
+
+  const closest = requests
+    .map((request, index) => ({ request, index, mismatched: findMismatchedFields(request, requestDefinition) }))
+    .sort((a, b) => a.mismatched.length - b.mismatched.length || b.index - a.index)
+    .slice(0, MAX_CLOSEST_REQUESTS);
+
+  return 'closest received requests:\n' + closest.map(({ request, mismatched }, position) => {
+    const summary = mismatched.length > 0 ? `mismatched: ${mismatched.join(', ')}` : 'matched';
+    return `  ${position + 1}. ${request.method} ${request.path} (${summary})\n` +
+      `     ${JSON.stringify(toReportedRequest(request))}`;
+  }).join('\n');
+}
+
+/**
+ * Handles PUT requests to /mockserver/verify
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export function verifyHandler(req, res) {
+  try {
+    const verification = req.body || {};
+    const requestDefinition = resolveRequestDefinition(verification);
+
+    if (!requestDefinition) {
+      return res.status(400).json({
+        error: 'incorrect request format',
+        message: verification.expectationId ?
+          'Expectation with the given id not found' :
+          'Verification must contain either httpRequest or expectationId'
+      });
+    }
+
+    const times = normalizeTimes(verification.times);
+    const requests = getRequestHistory();
+    const found = requests.filter(request => matchesRequestDefinition(request, requestDefinition)).length;
+
+    if (found >= times.atLeast && (times.atMost === undefined || found <= times.atMost)) {
+      return res.status(202).end();
+    }
+
+    const message = `Request not found ${describeTimes(times)}, found ${found}\n` +
+      `expected:\n  ${JSON.stringify(requestDefinition)}\n` +
+      describeClosestRequests(requests, requestDefinition);
+
+    logger.debug('Verification failed', {
+      event: 'VERIFICATION_FAILED',
+      requestDefinition,
+      found
+    });
+
+    res.status(406).type('text/plain').send(message);
+  } catch (error) {
+    res.status(400).json({
+      error: 'incorrect request format',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Finds the first element of a sequence that was not received in order
+ * @param {Array<Object>} requests - Recorded requests, oldest first
+ * @param {Array<Object>} sequence - Request definitions in expected order
+ * @returns {{index: number, outOfOrder: boolean}|null} Failing element or null if the sequence was received
+ */
+function findSequenceFailure(requests, sequence) {
+  let position = -1;
+
+  for (let index = 0; index < sequence.length; index++) {
+    const matches = request => matchesRequestDefinition(request, sequence[index]);
+    const next = requests.findIndex((request, requestIndex) => requestIndex > position && matches(request));
+
+    if (next === -1) {
+      return { index, outOfOrder: requests.some(matches) };
+    }
+    position = next;
+  }
+
+  return null;
+}
+
+/**
+ * Handles PUT requests to /mockserver/verifySequence
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export function verifySequenceHandler(req, res) {
+  try {
+    const verification = req.body || {};
+    let sequence;
+
+    if (Array.isArray(verification.httpRequests)) {
+      sequence = verification.httpRequests;
+    } else if (Array.isArray(verification.expectationIds)) {
+      sequence = verification.expectationIds.map(resolveExpectationId);
+      const unknown = sequence.indexOf(null);
+      if (unknown !== -1) {
+        return res.status(400).json({
+          error: 'incorrect request format',
+          message: `Expectation at position ${unknown + 1} of the sequence not found`
+        });
+      }
+    } else {
+      return res.status(400).json({
+        error: 'incorrect request format',
+        message: 'Verification sequence must contain either httpRequests or expectationIds'
+      });
+    }
+
+    const requests = getRequestHistory();
+    const failure = findSequenceFailure(requests, sequence);
+
+    if (!failure) {
+      return res.status(202).end();
+    }
+
+    const { index, outOfOrder } = failure;
+    const element = sequence[index];
+    const reason = outOfOrder ?
+      `was received, but not after element ${index}` :
+      'was never received';
+    const message = `Request sequence not found, element ${index + 1} of ${sequence.length} ${reason}\n` +
+      `expected:\n  ${JSON.stringify(element)}\n` +
+      describeClosestRequests(requests, element) + '\n' +
+      `received sequence:\n${requests.map(request => `  ${request.method} ${request.path}`).join('\n')}`;
+
+    logger.debug('Sequence verification failed', {
+      event: 'VERIFICATION_SEQUENCE_FAILED',
+      element: index + 1,
+      outOfOrder
+    });
+
+    res.status(406).type('text/plain').send(message);
+  } catch (error) {
+    res.status(400).json({
+      error: 'incorrect request format',
+      message: error.message
+    });
+  }
+}
@@ -8,6 +8,9 @@ import { createExpectationHandler } from './handlers/expectations/createExpectat
 import { clearExpectationsHandler } from './handlers/expectations/clearExpectationsHandler.js';
 import { statusHandler } from './handlers/statusHandler.js';
 import { retrieveHandler } from './handlers/retrieveHandler.js';
+import { verifyHandler, verifySequenceHandler } from './handlers/verifyHandler.js';
+import { openAPIExpectationHandler } from './handlers/openapiHandler.js';
+import { certificateHandler } from './handlers/certificateHandler.js';
 
 
 
@@ -20,13 +23,17 @@ const router = express.Router();
 
 
 router.put('/mockserver/expectation', createExpectationHandler);
+router.put('/mockserver/openapi', openAPIExpectationHandler);
 
 
 
 router.put('/mockserver/clear', clearExpectationsHandler);
 router.put('/mockserver/reset', clearExpectationsHandler);
 router.put('/mockserver/retrieve', retrieveHandler);
+router.put('/mockserver/verify', verifyHandler);
+router.put('/mockserver/verifySequence', verifySequenceHandler);
 router.put('/mockserver/status', statusHandler);
+router.get('/mockserver/certificate', certificateHandler);
 
 
 
@@ -0,0 +1,98 @@
+/**
+ * Loads and invokes local callback modules for class callback actions
+ * @module callbacks/classCallbacks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+
+const MODULE_EXTENSIONS = ['.js', '.mjs'];
+
+let callbackDirectory = process.env.MOCKSERVER_CALLBACK_DIR || './callbacks';
+
+/**
+ * Loaded callback modules by file path, with the modification time they were loaded at
+ * @type {Map<string, {mtimeMs: number, module: Object}>}
+ */
+const loadedModules = new Map();
+
+/**
+ * Sets the directory callback modules are loaded from
+ * @param {string} directory - Callback directory
+ */
+export function setCallbackDirectory(directory) {
+  callbackDirectory = directory;
+  loadedModules.clear();
+}
+
+/**
+ * Resolves a callback name to a module file in the callback directory.
+ * `TenantRouter` and `com.example.TenantRouter` resolve to `TenantRouter.js`
+ * and `com/example/TenantRouter.js` (or `.mjs`) respectively.
+ * @param {string} callbackClass - Callback name
+ * @returns {string} Absolute path of the module file
+ */
+export function resolveCallbackPath(callbackClass) {
+  if (!callbackClass || !/^[\w$-]+(\.[\w$-]+)*$/.test(callbackClass)) {
+    throw new Error(`Invalid callbackClass: ${callbackClass}`);
+  }
+
+  const directory = path.resolve(callbackDirectory);
+  const candidates = [callbackClass, callbackClass.replace(/\./g, path.sep)]
+    .flatMap(name => MODULE_EXTENSIONS.map(extension => path.join(directory, name + extension)));
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`Callback module for ${callbackClass} not found in ${directory}`);
+  }
+  return found;
+}
+
+/**
+ * Imports a callback module, importing it again when its file has changed since it was last loaded
+ * @param {string} callbackClass - Callback name
+ * @returns {Promise<Object>} Module namespace
+ */
+export async function loadClassCallback(callbackClass) {
+  const file = resolveCallbackPath(callbackClass);
+  const { mtimeMs } = await fs.promises.stat(file);
+  const loaded = loadedModules.get(file);
+
+  if (loaded && loaded.mtimeMs === mtimeMs) {
+    return loaded.module;
+  }
+
+  const module = await import(`${pathToFileURL(file).href}?v=${mtimeMs}`);
+  loadedModules.set(file, { mtimeMs, module });
+
+  logger.debug(loaded ? 'Reloaded callback module' : 'Loaded callback module', {
+    event: 'CALLBACK_MODULE_LOADED',
+    callbackClass,
+    file
+  });
+
+  return module;
+}
+
+/**
+ * Invokes the exported `handle(request)` of a callback module
+ * @param {string} callbackClass - Callback name
+ * @param {Object} templateRequest - Request model passed to the callback
+ * @returns {Promise<Object>} Response or request returned by the callback
+ */
+export async function invokeClassCallback(callbackClass, templateRequest) {
+  const module = await loadClassCallback(callbackClass);
+  const handle = module.handle || (module.default && module.default.handle);
+
+  if (typeof handle !== 'function') {
+    throw new Error(`Callback module ${callbackClass} does not export a handle(request) function`);
+  }
+
+  const result = await handle(templateRequest);
+  if (!result || typeof result !== 'object') {
+    throw new Error(`Callback ${callbackClass} did not return an object`);
+  }
+  return result;
+}
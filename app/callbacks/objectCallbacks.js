@@ -0,0 +1,222 @@
+/**
+ * WebSocket transport for object callback actions: matching requests are pushed to a
+ * registered client, which computes the response in its own process
+ * @module callbacks/objectCallbacks
+ */
+
+import http from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+export const CALLBACK_WEBSOCKET_PATH = '/_mockserver_callback_websocket';
+
+const CLIENT_ID_HEADER = 'x-client-registration-id';
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.MOCKSERVER_OBJECT_CALLBACK_TIMEOUT || '20000', 10);
+const DEFAULT_FALLBACK_STATUS = parseInt(process.env.MOCKSERVER_OBJECT_CALLBACK_FALLBACK_STATUS || '404', 10);
+
+/**
+ * Connected callback clients by clientId
+ * @type {Map<string, WebSocket>}
+ */
+const clients = new Map();
+
+/**
+ * Callbacks waiting for a reply by correlationId
+ * @type {Map<string, {clientId: string, resolve: Function, reject: Function, timer: NodeJS.Timeout}>}
+ */
+const pendingCallbacks = new Map();
+
+/**
+ * Checks if a callback client is connected
+ * @param {string} clientId - Client ID
+ * @returns {boolean} True if the client is connected
+ */
+export function isClientConnected(clientId) {
+  const socket = clients.get(clientId);
+  return !!socket && socket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Builds the response returned when a callback cannot be answered by its client
+ * @param {string} clientId - Client ID
+ * @param {string} message - Reason
+ * @param {number} [statusCode] - Status code, defaults to MOCKSERVER_OBJECT_CALLBACK_FALLBACK_STATUS
+ * @returns {Object} HttpResponse
+ */
+export function createFallbackResponse(clientId, message, statusCode = DEFAULT_FALLBACK_STATUS) {
+  return {
+    statusCode,
+    body: {
+      error: 'Callback failed',
+      message,
+      clientId
+    }
+  };
+}
+
+/**
+ * Rejects every callback waiting on a client
+ * @param {string} clientId - Client ID
+ * @param {string} message - Reason
+ */
+function rejectPendingCallbacks(clientId, message) {
+  pendingCallbacks.forEach((pending, correlationId) => {
+    if (pending.clientId === clientId) {
+      clearTimeout(pending.timer);
+      pendingCallbacks.delete(correlationId);
+      pending.reject(new Error(message));
+    }
+  });
+}
+
+/**
+ * Handles a message sent by a callback client
+ * @param {string} clientId - Client ID
+ * @param {Buffer|string} data - Raw message
+ */
+function handleClientMessage(clientId, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    logger.warn('Ignoring malformed callback message', { event: 'CALLBACK_MESSAGE_INVALID', clientId });
+    return;
+  }
+
+  const pending = message && pendingCallbacks.get(message.correlationId);
+  if (!pending || pending.clientId !== clientId) {
+    logger.warn('Ignoring callback reply without a pending request', {
+      event: 'CALLBACK_MESSAGE_UNEXPECTED',
+      clientId,
+      correlationId: message && message.correlationId
+    });
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pendingCallbacks.delete(message.correlationId);
+
+  if (message.type === 'error') {
+    pending.reject(new Error(message.message || 'Callback client reported an error'));
+  } else if (!message.value || typeof message.value !== 'object') {
+    pending.reject(new Error('Callback client replied without a value'));
+  } else {
+    pending.resolve(message.value);
+  }
+}
+
+/**
+ * Registers a connected WebSocket as a callback client
+ * @param {WebSocket} socket - Client socket
+ * @param {import('http').IncomingMessage} req - Upgrade request
+ */
+function registerClient(socket, req) {
+  const url = new URL(req.url, 'http://localhost');
+  const clientId = req.headers[CLIENT_ID_HEADER] || url.searchParams.get('clientId') || uuidv4();
+
+  const previous = clients.get(clientId);
+  if (previous && previous !== socket) {
+    previous.close(4000, 'Replaced by a new registration');
+  }
+  clients.set(clientId, socket);
+
+  socket.on('message', data => handleClientMessage(clientId, data));
+  socket.on('close', () => {
+    if (clients.get(clientId) === socket) {
+      clients.delete(clientId);
+      rejectPendingCallbacks(clientId, `Callback client ${clientId} disconnected`);
+    }
+    logger.info('Callback client disconnected', { event: 'CALLBACK_CLIENT_DISCONNECTED', clientId });
+  });
+
+  socket.send(JSON.stringify({ type: 'registration', clientId }));
+  logger.info('Callback client registered', { event: 'CALLBACK_CLIENT_REGISTERED', clientId });
+}
+
+/**
+ * Serves an upgrade request as an ordinary request, without switching protocols.
+ * Node hands every request with an `Upgrade` header to the upgrade listeners
+ * instead of the request listener, so nothing else would answer it.
+ * @param {import('http').Server} server - HTTP server
+ * @param {import('http').IncomingMessage} req - Upgrade request
+ * @param {import('net').Socket} socket - Client socket
+ */
+function dispatchAsRequest(server, req, socket) {
+  const res = new http.ServerResponse(req);
+  // The HTTP parser is detached from upgraded sockets, so the connection can't be reused
+  res.shouldKeepAlive = false;
+  res.assignSocket(socket);
+  res.on('finish', () => socket.end());
+  server.emit('request', req, res);
+}
+
+/**
+ * Accepts callback client WebSocket connections on an HTTP server. Other upgrade
+ * requests are left to the server's other upgrade listeners, or served as ordinary
+ * requests when there are none.
+ * @param {import('http').Server} server - HTTP server
+ * @returns {WebSocketServer} WebSocket server
+ */
+export function attachCallbackWebSocketServer(server) {
+  const webSocketServer = new WebSocketServer({ noServer: true });
+
+  webSocketServer.on('connection', registerClient);
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== CALLBACK_WEBSOCKET_PATH) {
+      if (server.listenerCount('upgrade') === 1) {
+        dispatchAsRequest(server, req, socket);
+      }
+      return;
+    }
+
+    webSocketServer.handleUpgrade(req, socket, head, client => {
+      webSocketServer.emit('connection', client, req);
+    });
+  });
+
+  return webSocketServer;
+}
+
+/**
+ * Pushes a request to a callback client and waits for the value it computes
+ * @param {string} clientId - Client ID
+ * @param {Object} templateRequest - Request model sent to the client
+ * @param {string} action - Callback action, `httpResponseObjectCallback` or `httpForwardObjectCallback`
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Maximum time to wait for the reply in milliseconds
+ * @returns {Promise<Object>} HttpResponse or HttpRequest returned by the client
+ */
+export function invokeObjectCallback(clientId, templateRequest, action, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!isClientConnected(clientId)) {
+    return Promise.reject(new Error(`Callback client ${clientId} is not connected`));
+  }
+
+  const correlationId = uuidv4();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingCallbacks.delete(correlationId);
+      const error = new Error(`Callback client ${clientId} did not reply within ${timeout}ms`);
+      error.code = 'ERR_CALLBACK_TIMEOUT';
+      reject(error);
+    }, timeout);
+
+    pendingCallbacks.set(correlationId, { clientId, resolve, reject, timer });
+
+    clients.get(clientId).send(JSON.stringify({
+      type: 'request',
+      action,
+      correlationId,
+      request: templateRequest
+    }), error => {
+      if (error && pendingCallbacks.has(correlationId)) {
+        clearTimeout(timer);
+        pendingCallbacks.delete(correlationId);
+        reject(new Error(`Failed to send callback to client ${clientId}: ${error.message}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Lifecycle rules deciding whether an expectation can still be matched
+ * @module expectations/expectationLifecycle
+ */
+
+import { toMilliseconds } from '../utils/time.js';
+
+/**
+ * Checks if an expectation may only be matched a limited number of times
+ * @param {Object} expectation - Expectation to check
+ * @returns {boolean} True if `times.remainingTimes` applies
+ */
+export function hasLimitedTimes(expectation) {
+  const { times } = expectation;
+  return !!times && times.unlimited !== true && Number.isInteger(times.remainingTimes);
+}
+
+/**
+ * Checks if an expectation has used up all of its allowed matches
+ * @param {Object} expectation - Expectation to check
+ * @returns {boolean} True if no matches remain
+ */
+export function isExhausted(expectation) {
+  return hasLimitedTimes(expectation) && expectation.times.remainingTimes <= 0;
+}
+
+/**
+ * Calculates when an expectation stops being valid, based on its creation time and `timeToLive`
+ * @param {Object} expectation - Expectation to check
+ * @returns {number|null} Expiry time in epoch milliseconds, or null if it never expires
+ */
+export function getExpiryTime(expectation) {
+  const { timeToLive, createdAt } = expectation;
+  if (!timeToLive || timeToLive.unlimited === true || !Number.isInteger(timeToLive.timeToLive)) {
+    return null;
+  }
+
+  const created = Date.parse(createdAt);
+  if (Number.isNaN(created)) {
+    return null;
+  }
+
+  return created + toMilliseconds(timeToLive.timeToLive, timeToLive.timeUnit || 'SECONDS');
+}
+
+/**
+ * Checks if an expectation has outlived its `timeToLive`
+ * @param {Object} expectation - Expectation to check
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+ * @returns {boolean} True if the expectation has expired
+ */
+export function isExpired(expectation, now = Date.now()) {
+  const expiryTime = getExpiryTime(expectation);
+  return expiryTime !== null && expiryTime <= now;
+}
+
+/**
+ * Checks if an expectation can currently be matched
+ * @param {Object} expectation - Expectation to check
+ * @returns {boolean} True if the expectation is active
+ */
+export function isActive(expectation) {
+  return !isExhausted(expectation) && !isExpired(expectation);
+}
@@ -0,0 +1,44 @@
+/**
+ * Normalization of expectations as they enter the store
+ * @module expectations/expectationNormalizer
+ */
+
+import { toMultiValueObject } from '../utils/multiValue.js';
+
+const REQUEST_MULTI_VALUE_FIELDS = ['headers', 'queryStringParameters', 'pathParameters'];
+
+/**
+ * Converts the `KeyToMultiValue` fields of a request or response definition to object form
+ * @param {Object} definition - Request or response definition
+ * @param {Array<string>} fields - Fields to convert
+ * @returns {Object} Definition with converted fields
+ */
+function normalizeFields(definition, fields) {
+  if (!definition || typeof definition !== 'object') return definition;
+
+  const normalized = { ...definition };
+  fields.forEach(field => {
+    if (Array.isArray(normalized[field])) {
+      normalized[field] = toMultiValueObject(normalized[field]);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Converts array-form headers, query string and path parameters of an expectation to
+ * object form, so matching and responses only deal with one shape
+ * @param {Object} expectation - Expectation as received
+ * @returns {Object} Normalized expectation
+ */
+export function normalizeExpectation(expectation) {
+  const normalized = { ...expectation };
+
+  if (normalized.httpRequest) {
+    normalized.httpRequest = normalizeFields(normalized.httpRequest, REQUEST_MULTI_VALUE_FIELDS);
+  }
+  if (normalized.httpResponse) {
+    normalized.httpResponse = normalizeFields(normalized.httpResponse, ['headers']);
+  }
+  return normalized;
+}
@@ -11,6 +11,8 @@ import {
   removeFromIndices
 } from './indexers/indexer.js';
 import { findMatchingExpectation } from '../request-handling/matcher.js';
+import { hasLimitedTimes, getExpiryTime, isExpired } from './expectationLifecycle.js';
+import { normalizeExpectation } from './expectationNormalizer.js';
 import logger from '../utils/logger.js';
 import AsyncLock from 'async-lock';
 
@@ -20,6 +22,7 @@ const defaultPath = process.env.MOCKSRV_EXPECTATIONS_PATH || './data/expectation
 let expectations = new Map();
 let persistenceEnabled = true;
 let persistencePath = defaultPath;
+let nextExpiryTime = Infinity;
 
 export function setPersistencePath(path) {
   persistencePath = path;
@@ -63,8 +66,9 @@ export async function initializeStore() {
         seenIds.add(newId);
         
         expectations.set(newId, {
-          ...expectation,
-          id: newId
+          ...normalizeExpectation(expectation),
+          id: newId,
+          createdAt: expectation.createdAt || new Date().toISOString()
         });
       });
     } else {
@@ -72,6 +76,10 @@ export async function initializeStore() {
     }
     
     initializeIndices(expectations);
+    nextExpiryTime = 0;
+    if (purgeExpiredExpectations() > 0) {
+      await saveToFile();
+    }
     
     logger.info('Expectation store initialized', {
       event: 'STORE_INITIALIZED',
@@ -96,7 +104,7 @@ export async function addExpectation(expectation) {
   return lock.acquire('expectations', async () => {
     const id = expectation.id || uuidv4();
     const priority = expectation.priority !== undefined ? expectation.priority : 0;
-    const newExpectation = { ...expectation, id, priority };
+    const newExpectation = { ...normalizeExpectation(expectation), id, priority, createdAt: new Date().toISOString() };
 
     if (expectations.has(id)) {
       logger.warn('Expectation with this ID already exists, generating new ID', {
@@ -108,6 +116,7 @@ export async function addExpectation(expectation) {
 
     expectations.set(id, newExpectation);
     indexExpectation(id, newExpectation);
+    scheduleExpiry(newExpectation);
 
     if (persistenceEnabled) {
       await saveToFile();
@@ -144,6 +153,9 @@ export function getExpectation(id) {
  * @returns {Array<Object>} Array of all expectations
  */
 export function getAllExpectations() {
+  if (purgeExpiredExpectations() > 0) {
+    saveInBackground();
+  }
   const allExpectations = Array.from(expectations.values());
   logger.debug('Retrieved all expectations', {
     event: 'EXPECTATIONS_RETRIEVED',
@@ -171,6 +183,11 @@ export async function clearExpectations(options = {}) {
       let match = true;
       const req = options.request;
       
+      if (req.specUrlOrPayload) {
+        match = expectation.httpRequest.specUrlOrPayload === req.specUrlOrPayload &&
+          (!req.operationId || expectation.httpRequest.operationId === req.operationId);
+      }
+      
       if (req.method && expectation.httpRequest.method !== req.method) {
         match = false;
       }
@@ -250,7 +267,97 @@ export async function removeExpectation(id) {
  * @returns {Object|null} Matching expectation or null
  */
 export function findExpectationForRequest(request) {
-  return findMatchingExpectation(request, expectations);
+  if (purgeExpiredExpectations() > 0) {
+    saveInBackground();
+  }
+  const expectation = findMatchingExpectation(request, expectations);
+  if (expectation && hasLimitedTimes(expectation)) {
+    consumeMatch(expectation);
+  }
+  return expectation;
+}
+
+/**
+ * Decrements the remaining match count of an expectation, removing it once exhausted.
+ * Runs synchronously so concurrent requests can never consume the same match twice.
+ * @param {Object} expectation - Matched expectation with limited times
+ */
+function consumeMatch(expectation) {
+  const { id, times } = expectation;
+  const remainingTimes = times.remainingTimes - 1;
+
+  if (remainingTimes <= 0) {
+    evictExpectation(expectation, 'EXPECTATION_EXHAUSTED', 'Expectation exhausted');
+  } else {
+    expectations.set(id, { ...expectation, times: { ...times, remainingTimes } });
+  }
+
+  saveInBackground();
+}
+
+/**
+ * Removes expectations whose `timeToLive` has elapsed from the store and indices.
+ * Only scans the store once the earliest known expiry time has passed.
+ * @returns {number} Number of removed expectations
+ */
+function purgeExpiredExpectations() {
+  const now = Date.now();
+  if (now < nextExpiryTime) return 0;
+
+  nextExpiryTime = Infinity;
+  const expired = [];
+
+  expectations.forEach(expectation => {
+    if (isExpired(expectation, now)) {
+      expired.push(expectation);
+    } else {
+      scheduleExpiry(expectation);
+    }
+  });
+
+  expired.forEach(expectation => evictExpectation(expectation, 'EXPECTATION_EXPIRED', 'Expectation expired'));
+  return expired.length;
+}
+
+/**
+ * Tracks the earliest time at which a stored expectation expires
+ * @param {Object} expectation - Stored expectation
+ */
+function scheduleExpiry(expectation) {
+  const expiryTime = getExpiryTime(expectation);
+  if (expiryTime !== null && expiryTime < nextExpiryTime) {
+    nextExpiryTime = expiryTime;
+  }
+}
+
+/**
+ * Synchronously removes an expectation that is no longer active
+ * @param {Object} expectation - Expectation to remove
+ * @param {string} event - Log event name
+ * @param {string} message - Log message
+ */
+function evictExpectation(expectation, event, message) {
+  removeFromIndices(expectation.id, expectation);
+  expectations.delete(expectation.id);
+  logger.info(message, {
+    event,
+    id: expectation.id,
+    method: expectation.httpRequest?.method,
+    path: expectation.httpRequest?.path
+  });
+}
+
+/**
+ * Persists the store without making the caller wait for the file write
+ */
+function saveInBackground() {
+  if (!persistenceEnabled) return;
+  saveToFile().catch(error => {
+    logger.error('Failed to save expectations', {
+      event: 'PERSISTENCE_SAVE_ERROR',
+      error: error.message
+    });
+  });
 }
 
 /**
@@ -283,7 +390,7 @@ export async function upsertExpectation(expectation) {
 
   if (existingId && expectations.has(existingId)) {
     
-    updatedExpectation = { ...expectation, priority };
+    updatedExpectation = { ...normalizeExpectation(expectation), priority, createdAt: new Date().toISOString() };
     
     removeFromIndices(existingId, expectations.get(existingId));
     expectations.set(existingId, updatedExpectation);
@@ -291,11 +398,12 @@ export async function upsertExpectation(expectation) {
   } else {
     
     existingId = uuidv4();
-    updatedExpectation = { ...expectation, id: existingId, priority };
+    updatedExpectation = { ...normalizeExpectation(expectation), id: existingId, priority, createdAt: new Date().toISOString() };
     
     expectations.set(existingId, updatedExpectation);
     indexExpectation(existingId, updatedExpectation);
   }
+  scheduleExpiry(updatedExpectation);
 
   if (persistenceEnabled) {
     await saveToFile();
@@ -4,6 +4,8 @@
 
 import Ajv from 'ajv';
 import { schemas } from './schemas.js';
+import { isOpenAPIDefinition } from './types.js';
+import { validateOpenAPIDefinition } from '../openapi/openapiMatcher.js';
 
 const ajv = new Ajv({
   strict: false,
@@ -26,8 +28,11 @@ const validateExpectationSchema = ajv.compile({
  * @returns {string|null} Error message if validation fails, null if validation succeeds
  */
 export function validateExpectation(expectation) {
-  if (validateExpectationSchema(expectation)) {
-    return null;
+  if (!validateExpectationSchema(expectation)) {
+    return validateExpectationSchema.errors[0].message;
   }
-  return validateExpectationSchema.errors[0].message;
+  if (isOpenAPIDefinition(expectation.httpRequest)) {
+    return validateOpenAPIDefinition(expectation.httpRequest);
+  }
+  return null;
 } 
\ No newline at end of file
@@ -3,6 +3,9 @@
  * @module expectations/indexers/indexer
  */
 
+import { isForwardExpectation, isResponseExpectation, isOpenAPIDefinition } from '../types.js';
+import { isPathTemplate } from '../matchers/pathParameterMatcher.js';
+
 let methodIndex = new Map();
 let pathIndex = new Map();
 let wildcardExpectations = new Set();
@@ -46,10 +49,9 @@ export function indexExpectation(id, expectation) {
     return;
   }
 
-  const isForwardExpectation = !!expectation.httpForward;
-  const isResponseExpectation = !!expectation.httpResponse;
+  const isForward = isForwardExpectation(expectation);
 
-  if (!isForwardExpectation && !isResponseExpectation) {
+  if (!isForward && !isResponseExpectation(expectation)) {
     return;
   }
 
@@ -57,16 +59,22 @@ export function indexExpectation(id, expectation) {
 
   if (httpRequest.method) {
     const methodValue = typeof httpRequest.method === 'object' ? httpRequest.method.value : httpRequest.method;
-    if (!methodIndex.has(methodValue)) {
-      methodIndex.set(methodValue, new Set());
+    if (typeof methodValue !== 'string' || httpRequest.method.not === true) {
+      wildcardExpectations.add(id);
+    } else {
+      if (!methodIndex.has(methodValue)) {
+        methodIndex.set(methodValue, new Set());
+      }
+      methodIndex.get(methodValue).add(id);
     }
-    methodIndex.get(methodValue).add(id);
   }
 
   if (httpRequest.path) {
     const pathValue = typeof httpRequest.path === 'object' ? httpRequest.path.value : httpRequest.path;
 
-    if (pathValue.includes('*') || pathValue.includes('.') || 
+    if (typeof pathValue !== 'string' || httpRequest.path.not === true ||
+        isPathTemplate(getBasePathSegment(pathValue)) ||
+        pathValue.includes('*') || pathValue.includes('.') || 
         pathValue.includes('[') || pathValue.includes('(') || 
         pathValue.includes('?') || pathValue.includes('+')) {
       
@@ -82,7 +90,7 @@ export function indexExpectation(id, expectation) {
     }
   }
   
-  if (isForwardExpectation) {
+  if (isForward || isOpenAPIDefinition(httpRequest)) {
     wildcardExpectations.add(id);
   }
 }
@@ -104,16 +112,13 @@ export function removeFromIndices(id, expectation) {
     }
   }
 
+  wildcardExpectations.delete(id);
+
   if (httpRequest.path) {
     const pathValue = typeof httpRequest.path === 'object' ? httpRequest.path.value : httpRequest.path;
-
-    if (pathValue.includes('*')) {
-      wildcardExpectations.delete(id);
-    } else {
-      const path = getBasePathSegment(pathValue);
-      if (path && pathIndex.has(path)) {
-        pathIndex.get(path).delete(id);
-      }
+    const path = getBasePathSegment(pathValue);
+    if (path && pathIndex.has(path)) {
+      pathIndex.get(path).delete(id);
     }
   }
 }
@@ -0,0 +1,26 @@
+/**
+ * Client Certificate Matcher for requests received over mutual TLS
+ * @module expectations/matchers/clientCertificateMatcher
+ */
+
+import { matchNottableValue } from './multiValueMatcher.js';
+
+/**
+ * Matches the certificate a client presented. Each expected field (`subject`, `issuer`,
+ * `fingerprint`, `serialNumber`) may be an exact string, a regex or a `{ schema }`
+ * matcher; `{ value, not: true }` requires the field not to match. `authorized: true`
+ * requires a certificate signed by a trusted CA, which optional mutual TLS does not check.
+ * @param {Object|null} [actual] - Client certificate of the request
+ * @param {Object} expected - Expected certificate fields
+ * @returns {boolean} True if the client presented a matching certificate
+ */
+export const matchClientCertificate = (actual, expected) => {
+  if (!actual) return false;
+
+  return Object.entries(expected).every(([field, value]) => {
+    if (field === 'authorized') {
+      return actual.authorized === value;
+    }
+    return actual[field] !== undefined && matchNottableValue(actual[field], value);
+  });
+};
@@ -0,0 +1,31 @@
+/**
+ * Cookie Matcher for matching the `Cookie` request header
+ * @module expectations/matchers/cookieMatcher
+ */
+
+import { parseCookieHeader, toCookieEntries } from '../../utils/cookies.js';
+import { matchNottableValue, parseMatcherKey, mayBeAbsent } from './multiValueMatcher.js';
+
+/**
+ * Matches the cookies of a request. Each expected cookie value may be an exact string, a
+ * regex or a `{ schema }` matcher; `{ value, not: true }` requires the cookie to be
+ * absent or to have a different value, `{ value, optional: true }` lets it be absent, and
+ * a `!name` cookie must be absent or not match.
+ * @param {string} [cookieHeader] - Cookie request header
+ * @param {Object|Array<Object>} expectedCookies - Expected cookies in either `KeyToValue` form
+ * @returns {boolean} True if matches
+ */
+export const matchCookies = (cookieHeader, expectedCookies) => {
+  const cookies = parseCookieHeader(cookieHeader);
+
+  return toCookieEntries(expectedCookies).every(expected => {
+    const parsedKey = parseMatcherKey(expected.name);
+    const actual = cookies[parsedKey.name];
+    if (actual === undefined) {
+      return mayBeAbsent(parsedKey, [expected]);
+    }
+
+    const matches = matchNottableValue(actual, expected);
+    return parsedKey.negated ? !matches : matches;
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * JSON Schema Matcher for validating values against JSON Schemas
+ * @module expectations/matchers/jsonSchemaMatcher
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import logger from '../../utils/logger.js';
+
+const MAX_COMPILATIONS = 500;
+
+/**
+ * Creates an Ajv instance with empty validator caches: by the expectation's schema object,
+ * or by schema text for schemas given as JSON strings
+ * @param {boolean} coerceTypes - Whether the instance coerces values to the schema's types
+ * @returns {{ajv: Ajv, compilations: number, objects: WeakMap<Object, Function>, text: Map<string, Function>}} Validator cache
+ */
+function createValidatorCache(coerceTypes) {
+  const options = { strict: false, allErrors: false, ...(coerceTypes && { coerceTypes: 'array' }) };
+
+  return { ajv: addFormats(new Ajv(options)), compilations: 0, objects: new WeakMap(), text: new Map() };
+}
+
+/**
+ * Validator caches without and with type coercion. Ajv keeps every schema it compiled for
+ * the lifetime of the instance, so each instance is replaced after MAX_COMPILATIONS.
+ * @type {{plain: Object, coercing: Object}}
+ */
+const validators = {
+  plain: createValidatorCache(false),
+  coercing: createValidatorCache(true)
+};
+
+/**
+ * Returns the compiled validator for a schema, compiling it on first use
+ * @param {Object|string} schema - JSON Schema object or JSON string
+ * @param {boolean} coerceTypes - Whether string values may be coerced to the schema's types
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(schema, coerceTypes) {
+  const kind = coerceTypes ? 'coercing' : 'plain';
+  const cacheName = typeof schema === 'string' ? 'text' : 'objects';
+  let caches = validators[kind];
+  let validate = caches[cacheName].get(schema);
+
+  if (!validate) {
+    if (caches.compilations >= MAX_COMPILATIONS) {
+      caches = validators[kind] = createValidatorCache(coerceTypes);
+    }
+
+    // Ajv refuses a second schema with the same $id, which replacing an expectation would add
+    const { $id, ...schemaObject } = typeof schema === 'string' ? JSON.parse(schema) : schema;
+    validate = caches.ajv.compile(schemaObject);
+    caches.compilations++;
+    caches[cacheName].set(schema, validate);
+  }
+
+  return validate;
+}
+
+/**
+ * Checks whether an expected value is a `{ schema }` matcher
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if the value carries a JSON Schema
+ */
+export function isSchemaMatcher(expected) {
+  return expected !== null && typeof expected === 'object' && !Array.isArray(expected) &&
+    expected.schema !== undefined;
+}
+
+/**
+ * Matches a value against a JSON Schema. Without coercion, string values holding JSON are
+ * parsed first; with coercion, strings such as header or query values are converted to
+ * the types the schema expects.
+ * @param {*} actual - Actual value
+ * @param {Object|string} schema - JSON Schema object or JSON string
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.coerceTypes=false] - Whether to coerce values to the schema's types
+ * @returns {boolean} True if the value validates
+ */
+export function matchJsonSchema(actual, schema, { coerceTypes = false } = {}) {
+  let validate;
+  try {
+    validate = getValidator(schema, coerceTypes);
+  } catch (e) {
+    logger.warn('Invalid JSON Schema in expectation', { error: e.message });
+    return false;
+  }
+
+  if (coerceTypes) {
+    return validate(actual);
+  }
+
+  if (typeof actual === 'string') {
+    try {
+      actual = JSON.parse(actual);
+    } catch (e) {
+      return validate(actual);
+    }
+  }
+
+  return validate(actual);
+}
@@ -3,9 +3,16 @@
  * @module app/expectations/matchers/matcher
  */
 
-import { matchJson } from './jsonMatcher.js';
 import { matchString } from './stringMatcher.js';
 import { matchRegex } from './regexMatcher.js';
+import { matchNottableValue, parseMatcherKey, mayBeAbsent, matchMultiValue } from './multiValueMatcher.js';
+import { getPathTemplate, matchPathParameters } from './pathParameterMatcher.js';
+import { matchCookies } from './cookieMatcher.js';
+import { matchClientCertificate } from './clientCertificateMatcher.js';
+import { toMultiValueObject, getMultiValue } from '../../utils/multiValue.js';
+import { HttpProtocol, MatchType, isOpenAPIDefinition } from '../types.js';
+import { matchesOpenAPIDefinition } from '../../openapi/openapiMatcher.js';
+import { matchBody, isEmptyBody } from '../../request-handling/matcher.js';
 
 /**
  * Match string values
@@ -108,57 +115,110 @@ export function matchWildcardValue(pattern, value) {
 export function matchRequest(expectation, request) {
   if (!expectation.httpRequest) return false;
 
-  const { method, path, headers = {}, body } = expectation.httpRequest;
+  if (isOpenAPIDefinition(expectation.httpRequest)) {
+    return matchesOpenAPIDefinition(request, expectation.httpRequest);
+  }
+
+  const { method, path, headers = {}, cookies, body, secure, protocol, clientCertificate } = expectation.httpRequest;
 
-  if (method && !matchStringValue(method, request.method)) {
+  if (method && !matchFieldValue(method, request.method)) {
     return false;
   }
 
-  if (path) {
-    if (path.startsWith('/') && path.endsWith('/')) {
-      if (!matchRegexValue(path, request.path)) {
-        return false;
-      }
-    } else if (path.includes('*')) {
-      if (!matchWildcardValue(path, request.path)) {
-        return false;
-      }
-    } else {
-      if (!matchStringValue(path, request.path)) {
-        return false;
-      }
+  if (secure !== undefined && secure !== !!request.secure) {
+    return false;
+  }
+
+  if (protocol && protocol !== (request.protocol || HttpProtocol.HTTP_1_1)) {
+    return false;
+  }
+
+  const pathTemplate = getPathTemplate(expectation.httpRequest);
+
+  if (pathTemplate) {
+    const pathMatches = matchPathParameters(pathTemplate, request.path, expectation.httpRequest.pathParameters);
+    if (pathMatches === (path.not === true)) {
+      return false;
+    }
+  } else if (path && !matchFieldValue(path, request.path)) {
+    return false;
+  }
+
+  const queryParams = expectation.httpRequest.queryStringParameters || expectation.httpRequest.query;
+  if (queryParams) {
+    const matchType = expectation.httpRequest.matchType || MatchType.ONLY_MATCHING_FIELDS;
+    const queryMatches = matchMultiValue(request.query || {}, queryParams, { matchType });
+    if (queryParams.not === true ? queryMatches : !queryMatches) {
+      return false;
     }
   }
 
   if (headers && Object.keys(headers).length > 0) {
-    for (const [key, value] of Object.entries(headers)) {
-      const requestHeaderValue = request.headers[key.toLowerCase()];
-
-      if (typeof value === 'string') {
-        if (value.startsWith('/') && value.endsWith('/')) {
-          if (!matchRegexValue(value, requestHeaderValue)) {
-            return false;
-          }
-        } else if (value.includes('*')) {
-          if (!matchWildcardValue(value, requestHeaderValue)) {
-            return false;
-          }
-        } else {
-          if (!matchStringValue(value, requestHeaderValue)) {
-            return false;
-          }
+    const { keyMatchStyle, ...expectedHeaders } = toMultiValueObject(headers);
+
+    for (const [key, expectedValues] of Object.entries(expectedHeaders)) {
+      const parsedKey = parseMatcherKey(key);
+      const expectedItems = [].concat(expectedValues);
+      const requestHeaderValue = getMultiValue(request.headers, parsedKey.name, true);
+
+      if (requestHeaderValue === undefined) {
+        if (!mayBeAbsent(parsedKey, expectedItems)) {
+          return false;
         }
+        continue;
+      }
+
+      const headerMatches = expectedItems.every(value => matchFieldValue(value, requestHeaderValue));
+      if (parsedKey.negated ? headerMatches : !headerMatches) {
+        return false;
       }
     }
   }
 
-  if (body && request.body) {
-    if (typeof body === 'object') {
-      return matchJson(body, request.body);
-    } else {
-      return matchStringValue(body, request.body);
+  if (cookies && !matchCookies(request.headers && request.headers.cookie, cookies)) {
+    return false;
+  }
+
+  if (clientCertificate && !matchClientCertificate(request.clientCertificate, clientCertificate)) {
+    return false;
+  }
+
+  if (body) {
+    // Same body matching as expectations, so definitions can be copied between them
+    const { not: isNot = false, optional = false } = typeof body === 'object' ? body : {};
+
+    if (!(optional && isEmptyBody(request.body))) {
+      const matchType = expectation.httpRequest.matchType || MatchType.ONLY_MATCHING_FIELDS;
+      const bodyMatches = matchBody(request.body, body, matchType);
+      if (isNot ? bodyMatches : !bodyMatches) {
+        return false;
+      }
     }
   }
 
   return true;
+}
+
+/**
+ * Match a method, path or header value given as a string pattern (`/regex/`, wildcard or
+ * exact) or as an object matcher (`{ value }`, `{ schema }`, optionally with `not`)
+ * @param {string|Object} expected - Expected value
+ * @param {string} actual - Actual value
+ * @returns {boolean} True if value matches
+ */
+function matchFieldValue(expected, actual) {
+  if (expected !== null && typeof expected === 'object') {
+    return matchNottableValue(actual, expected);
+  }
+  if (typeof expected !== 'string') {
+    return true;
+  }
+
+  if (expected.startsWith('/') && expected.endsWith('/') && expected.length > 1) {
+    return matchRegexValue(expected, actual);
+  }
+  if (expected.includes('*')) {
+    return matchWildcardValue(expected, actual);
+  }
+  return matchStringValue(expected, actual);
 } 
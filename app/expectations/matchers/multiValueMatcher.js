@@ -1,38 +1,123 @@
 import { matchRegex } from './regexMatcher.js';
 import { matchString } from './stringMatcher.js';
+import { isSchemaMatcher, matchJsonSchema } from './jsonSchemaMatcher.js';
+import { KeyMatchStyle } from '../types.js';
+import { toMultiValueObject, getMultiValue } from '../../utils/multiValue.js';
 
 /**
- * Matches a multi-value object
+ * Matches a single value against a regex, an exact string or a `{ schema }` matcher.
+ * `{ value, ignoreCase: true }` compares the value case-insensitively.
+ * @param {*} actual - Actual value
+ * @param {string|Object} expected - Expected value
+ * @returns {boolean} True if matches
+ */
+export const matchValue = (actual, expected) => {
+  if (isSchemaMatcher(expected)) {
+    return matchJsonSchema(actual, expected.schema, { coerceTypes: true });
+  }
+
+  const isObject = expected !== null && typeof expected === 'object';
+  const value = isObject ? (expected.string || expected.value) : expected;
+
+  if (isObject && expected.ignoreCase === true) {
+    return matchRegex(actual, value, 'i') ||
+      (actual != null && value != null && matchString(String(actual).toLowerCase(), String(value).toLowerCase()));
+  }
+
+  return matchRegex(actual, value) || matchString(actual, value);
+};
+
+/**
+ * Matches a single value, negating the result for `{ value, not: true }`
+ * @param {*} actual - Actual value
+ * @param {string|Object} expected - Expected value
+ * @returns {boolean} True if matches
+ */
+export const matchNottableValue = (actual, expected) => {
+  const matches = matchValue(actual, expected);
+  return isNegated(expected) ? !matches : matches;
+};
+
+/**
+ * Checks whether an expected value is negated with `{ not: true }`
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if negated
+ */
+const isNegated = expected => expected !== null && typeof expected === 'object' && expected.not === true;
+
+/**
+ * Checks whether an expected value is marked `{ optional: true }`
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if optional
+ */
+const isOptional = expected => expected !== null && typeof expected === 'object' && expected.optional === true;
+
+/**
+ * Splits MockServer's key prefixes off a key: `!name` requires the key to be absent or
+ * not to match, `?name` lets the key be absent
+ * @param {string} key - Expected key
+ * @returns {{name: string, negated: boolean, optional: boolean}} Parsed key
+ */
+export const parseMatcherKey = key => {
+  const negated = key.startsWith('!');
+  const optional = key.startsWith('?');
+  return { name: negated || optional ? key.substring(1) : key, negated, optional };
+};
+
+/**
+ * Checks whether a key may be missing from the request: it is negated or optional, or
+ * all of its expected values are
+ * @param {{negated: boolean, optional: boolean}} parsedKey - Key parsed by parseMatcherKey
+ * @param {Array<*>} expectedItems - Expected values of the key
+ * @returns {boolean} True if the key may be missing
+ */
+export const mayBeAbsent = (parsedKey, expectedItems) =>
+  parsedKey.negated || parsedKey.optional ||
+  expectedItems.every(item => isOptional(item) || isNegated(item));
+
+/**
+ * Matches a multi-value object. Expected keys are matched in either `KeyToMultiValue` form;
+ * with `keyMatchStyle: "SUB_SET"` (the default) every expected value must match one of the
+ * key's actual values, with `"MATCHING_KEY"` every actual value must match one of the
+ * expected values. A `!name` key must be absent or not match, a `?name` key or values
+ * marked `optional` may be absent, and values marked `not` must match none of the key's values.
  * @param {*} actual - Actual value
  * @param {*} expected - Expected value
  * @param {Object} options - Options object
  * @param {string} [options.matchType='STRICT'] - Match type
+ * @param {boolean} [options.ignoreKeyCase=false] - Whether keys are case-insensitive (headers)
  * @returns {boolean} True if matches
  */
-export const matchMultiValue = (actual, expected, { matchType = 'STRICT' } = {}) => {
+export const matchMultiValue = (actual, expected, { matchType = 'STRICT', ignoreKeyCase = false } = {}) => {
   if (!actual || !expected) return false;
   
+  const { keyMatchStyle = KeyMatchStyle.SUB_SET, ...expectedValues } = toMultiValueObject(expected);
   const actualEntries = Object.entries(actual);
-  const expectedEntries = Object.entries(expected);
+  // A boolean `not` is the field-level negation flag, applied by the caller
+  const expectedEntries = Object.entries(expectedValues).filter(([key, value]) => !(key === 'not' && typeof value === 'boolean'));
   
-  if (matchType === 'STRICT' && actualEntries.length !== expectedEntries.length) {
+  if (matchType === 'STRICT' && actualEntries.length !== expectedEntries.filter(([key]) => !key.startsWith('!')).length) {
     return false;
   }
   
   return expectedEntries.every(([key, value]) => {
-    const actualValue = actual[key];
-    if (!actualValue) return false;
-
-    if (Array.isArray(value)) {
-      if (!Array.isArray(actualValue)) return false;
-      if (matchType === 'STRICT' && value.length !== actualValue.length) return false;
-      
-      return value.every((expectedItem, index) => {
-        const actualItem = actualValue[index];
-        return matchRegex(actualItem, expectedItem) || matchString(actualItem, expectedItem);
-      });
+    const parsedKey = parseMatcherKey(key);
+    const expectedItems = [].concat(value);
+    const actualValue = getMultiValue(actual, parsedKey.name, ignoreKeyCase);
+    if (actualValue === undefined || actualValue === null || actualValue === '') {
+      return mayBeAbsent(parsedKey, expectedItems);
     }
-    
-    return matchRegex(actualValue, value) || matchString(actualValue, value);
+
+    const actualItems = [].concat(actualValue);
+    if (matchType === 'STRICT' && expectedItems.length !== actualItems.length) return false;
+
+    const matches = keyMatchStyle === KeyMatchStyle.MATCHING_KEY ?
+      actualItems.every(actualItem =>
+        expectedItems.some(expectedItem => matchNottableValue(actualItem, expectedItem))) :
+      expectedItems.every(expectedItem => isNegated(expectedItem) ?
+        actualItems.every(actualItem => matchNottableValue(actualItem, expectedItem)) :
+        actualItems.some(actualItem => matchNottableValue(actualItem, expectedItem)));
+
+    return parsedKey.negated ? !matches : matches;
   });
-}; 
\ No newline at end of file
+};
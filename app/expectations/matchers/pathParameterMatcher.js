@@ -0,0 +1,193 @@
+/**
+ * Path Parameter Matcher for paths templated as `/users/{userId}`
+ * @module expectations/matchers/pathParameterMatcher
+ */
+
+import { matchMultiValue } from './multiValueMatcher.js';
+import { isSchemaMatcher } from './jsonSchemaMatcher.js';
+import { MatchType } from '../types.js';
+import { toMultiValueObject } from '../../utils/multiValue.js';
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][\w.-]*)\}/g;
+
+/**
+ * Compiled path templates
+ * @type {Map<string, {regex: RegExp, names: Array<string>}>}
+ */
+const compiledTemplates = new Map();
+
+/**
+ * Checks whether a path declares `{name}` placeholders. Regex quantifiers such as `{2}`
+ * are not placeholders.
+ * @param {*} path - Expected path
+ * @returns {boolean} True if the path is a template
+ */
+export function isPathTemplate(path) {
+  return typeof path === 'string' && /\{[A-Za-z_][\w.-]*\}/.test(path);
+}
+
+/**
+ * Returns the path template of a request definition
+ * @param {Object} httpRequest - Request definition
+ * @returns {string|null} Path template, or null if the path is not templated
+ */
+export function getPathTemplate(httpRequest) {
+  const path = httpRequest.path && typeof httpRequest.path === 'object' ? httpRequest.path.value : httpRequest.path;
+  return isPathTemplate(path) ? path : null;
+}
+
+/**
+ * Compiles a path template to a regex with one capture group per placeholder
+ * @param {string} template - Path template
+ * @returns {{regex: RegExp, names: Array<string>}} Compiled template
+ */
+function compileTemplate(template) {
+  let compiled = compiledTemplates.get(template);
+  if (compiled) return compiled;
+
+  const names = [];
+  let source = '';
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    source += escapeRegex(template.slice(lastIndex, match.index)) + '([^/]+)';
+    names.push(match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  source += escapeRegex(template.slice(lastIndex));
+
+  compiled = { regex: new RegExp(`^${source}/?$`), names };
+  compiledTemplates.set(template, compiled);
+  return compiled;
+}
+
+/**
+ * Escapes regex metacharacters in a literal part of a template
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the parameter style declared on a parameter's expected values
+ * @param {*} expected - Expected values of one parameter
+ * @returns {string} Parameter style, SIMPLE when none is declared
+ */
+function getParameterStyle(expected) {
+  const values = Array.isArray(expected) ? expected : [expected];
+  const declared = values.find(value => value && typeof value === 'object' && value.parameterStyle);
+  return declared ? declared.parameterStyle : 'SIMPLE';
+}
+
+/**
+ * Splits a raw path segment into values according to its style
+ * @param {string} raw - Raw segment value
+ * @param {string} name - Parameter name
+ * @param {string} style - Parameter style
+ * @returns {Array<string>} Decoded values
+ */
+function parseSegment(raw, name, style) {
+  let values;
+
+  switch (style) {
+    case 'LABEL':
+      values = raw.replace(/^\./, '').split('.');
+      break;
+    case 'MATRIX':
+      values = raw.split(';')
+        .filter(part => part)
+        .flatMap(part => part.replace(new RegExp(`^${escapeRegex(name)}=`), '').split(','));
+      break;
+    default:
+      values = raw.split(',');
+  }
+
+  return values.map(value => {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  });
+}
+
+/**
+ * Extracts the path parameters of a request path from a path template
+ * @param {string} template - Path template, e.g. `/users/{userId}`
+ * @param {string} requestPath - Request path
+ * @param {Object} [expectedParameters={}] - Expected path parameters, whose values may declare a `parameterStyle`
+ * @returns {Object<string, Array<string>>|null} Values by parameter name, or null if the path does not fit the template
+ */
+export function extractPathParameters(template, requestPath, expectedParameters = {}) {
+  const { regex, names } = compileTemplate(template);
+  const match = regex.exec(requestPath);
+  if (!match) return null;
+
+  const parameters = {};
+  names.forEach((name, index) => {
+    parameters[name] = parseSegment(match[index + 1], name, getParameterStyle(expectedParameters[name]));
+  });
+  return parameters;
+}
+
+/**
+ * Matches a request path against a path template and its expected path parameters
+ * @param {string} template - Path template
+ * @param {string} requestPath - Request path
+ * @param {Object} [expectedParameters] - Expected path parameters
+ * @returns {boolean} True if the path fits the template and its parameters match
+ */
+export function matchPathParameters(template, requestPath, expectedParameters) {
+  const expected = toMultiValueObject(expectedParameters);
+  const parameters = extractPathParameters(template, requestPath, expected);
+  if (!parameters) return false;
+  if (!expected || Object.keys(expected).length === 0) return true;
+
+  return matchMultiValue(parameters, anchorExpectedValues(expected), { matchType: MatchType.ONLY_MATCHING_FIELDS });
+}
+
+/**
+ * Anchors a path parameter regex, as MockServer matches it against the whole value.
+ * The escaped alternative keeps literal values with regex characters matching exactly.
+ * @param {string} pattern - Expected value or regex
+ * @returns {string} Regex matching whole values only
+ */
+function anchorPattern(pattern) {
+  try {
+    new RegExp(pattern);
+  } catch {
+    return pattern;
+  }
+  return `^(?:${pattern}|${escapeRegex(pattern)})$`;
+}
+
+/**
+ * Anchors the regexes of expected path parameters; schema matchers are left as they are
+ * @param {Object} expected - Expected path parameters in object form
+ * @returns {Object} Expected path parameters with anchored regexes
+ */
+function anchorExpectedValues(expected) {
+  const anchorValue = value => {
+    if (typeof value === 'string') return anchorPattern(value);
+    if (value === null || typeof value !== 'object' || isSchemaMatcher(value)) return value;
+
+    const pattern = value.string || value.value;
+    return typeof pattern === 'string' ? { ...value, string: undefined, value: anchorPattern(pattern) } : value;
+  };
+
+  return Object.fromEntries(Object.entries(expected).map(([name, values]) =>
+    name === 'keyMatchStyle' || typeof values === 'boolean' ? [name, values] : [name, [].concat(values).map(anchorValue)]));
+}
+
+/**
+ * Extracts the path parameters a matched request definition declares
+ * @param {Object} httpRequest - Request definition
+ * @param {string} requestPath - Request path
+ * @returns {Object<string, Array<string>>} Values by parameter name, empty if the path is not templated
+ */
+export function resolvePathParameters(httpRequest, requestPath) {
+  const template = getPathTemplate(httpRequest);
+  return (template && extractPathParameters(template, requestPath, toMultiValueObject(httpRequest.pathParameters))) || {};
+}
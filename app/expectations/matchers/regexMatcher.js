@@ -7,13 +7,14 @@
  * Matches a string against a regular expression
  * @param {*} actual - Actual value (will be converted to string if not a string)
  * @param {string} pattern - Regular expression pattern
+ * @param {string} [flags] - Regular expression flags
  * @returns {boolean} True if matches
  */
-export const matchRegex = (value, pattern) => {
+export const matchRegex = (value, pattern, flags) => {
   if (!value || !pattern) return false;
   
   try {
-    const regex = new RegExp(pattern);
+    const regex = new RegExp(pattern, flags);
     return regex.test(String(value));
   } catch {
     return false;
@@ -22,7 +22,8 @@ export const schemas = {
       httpOverrideForwardedRequest: { $ref: "#/components/schemas/HttpOverrideForwardedRequest" },
       httpError: { $ref: "#/components/schemas/HttpError" },
       times: { $ref: "#/components/schemas/Times" },
-      timeToLive: { $ref: "#/components/schemas/TimeToLive" }
+      timeToLive: { $ref: "#/components/schemas/TimeToLive" },
+      createdAt: { type: "string" }
     },
     oneOf: [
       { required: ["httpResponse"] },
@@ -34,7 +35,28 @@ export const schemas = {
       { required: ["httpForwardClassCallback"] },
       { required: ["httpForwardObjectCallback"] },
       { required: ["httpOverrideForwardedRequest"] },
-      { required: ["httpError"] }
+      { required: ["httpError"] },
+      {
+        description: "OpenAPI operation answered with an example response from the spec",
+        required: ["httpRequest"],
+        properties: {
+          httpRequest: { required: ["specUrlOrPayload"] }
+        },
+        not: {
+          anyOf: [
+            { required: ["httpResponse"] },
+            { required: ["httpResponseTemplate"] },
+            { required: ["httpResponseClassCallback"] },
+            { required: ["httpResponseObjectCallback"] },
+            { required: ["httpForward"] },
+            { required: ["httpForwardTemplate"] },
+            { required: ["httpForwardClassCallback"] },
+            { required: ["httpForwardObjectCallback"] },
+            { required: ["httpOverrideForwardedRequest"] },
+            { required: ["httpError"] }
+          ]
+        }
+      }
     ]
   },
   RequestDefinition: {
@@ -59,7 +81,20 @@ export const schemas = {
       headers: { $ref: "#/components/schemas/KeyToMultiValue" },
       cookies: { $ref: "#/components/schemas/KeyToValue" },
       socketAddress: { $ref: "#/components/schemas/SocketAddress" },
-      protocol: { $ref: "#/components/schemas/Protocol" }
+      protocol: { $ref: "#/components/schemas/Protocol" },
+      clientCertificate: { $ref: "#/components/schemas/ClientCertificate" }
+    }
+  },
+  ClientCertificate: {
+    description: "certificate the client presented over mutual TLS",
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      subject: { $ref: "#/components/schemas/StringOrJsonSchema" },
+      issuer: { $ref: "#/components/schemas/StringOrJsonSchema" },
+      fingerprint: { $ref: "#/components/schemas/StringOrJsonSchema" },
+      serialNumber: { $ref: "#/components/schemas/StringOrJsonSchema" },
+      authorized: { type: "boolean" }
     }
   },
   HttpResponse: {
@@ -73,7 +108,8 @@ export const schemas = {
       connectionOptions: { $ref: "#/components/schemas/ConnectionOptions" },
       headers: { $ref: "#/components/schemas/KeyToMultiValue" },
       statusCode: { type: "integer" },
-      reasonPhrase: { type: "string" }
+      reasonPhrase: { type: "string" },
+      templateType: { enum: ["MUSTACHE"] }
     }
   },
   Times: {
@@ -110,7 +146,7 @@ export const schemas = {
             values: {
               type: "array",
               additionalProperties: false,
-              items: { type: "string" }
+              items: { $ref: "#/components/schemas/StringOrJsonSchema" }
             }
           }
         }
@@ -137,7 +173,16 @@ export const schemas = {
           type: "object",
           properties: {
             name: { type: "string" },
-            value: { type: "string" }
+            value: { type: "string" },
+            not: { type: "boolean" },
+            schema: { type: "object" },
+            path: { type: "string" },
+            domain: { type: "string" },
+            maxAge: { type: "integer" },
+            expires: { type: "string" },
+            secure: { type: "boolean" },
+            httpOnly: { type: "boolean" },
+            sameSite: { enum: ["Strict", "Lax", "None"] }
           }
         }
       },
@@ -156,6 +201,7 @@ export const schemas = {
         properties: {
           not: { type: "boolean" },
           optional: { type: "boolean" },
+          ignoreCase: { type: "boolean" },
           value: { type: "string" },
           schema: { type: "object" },
           parameterStyle: {
@@ -166,7 +212,7 @@ export const schemas = {
     ]
   },
   Body: {
-    oneOf: [
+    anyOf: [
       { type: "string" },
       { type: "object" },
       {
@@ -185,9 +231,10 @@ export const schemas = {
     ]
   },
   BodyWithContentType: {
-    oneOf: [
+    anyOf: [
       { type: "string" },
       { type: "object" },
+      { type: "array" },
       {
         type: "object",
         additionalProperties: false,
@@ -250,19 +297,16 @@ export const schemas = {
     }
   },
   Protocol: {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      name: { type: "string" },
-      value: { type: "string" }
-    }
+    description: "HTTP version the request arrived over",
+    type: "string",
+    enum: ["HTTP_1_1", "HTTP_2"]
   },
   HttpTemplate: {
     type: "object",
     additionalProperties: false,
     properties: {
       templateType: {
-        enum: ["JAVASCRIPT", "VELOCITY"]
+        enum: ["JAVASCRIPT", "VELOCITY", "MUSTACHE"]
       },
       template: { type: "string" },
       delay: { $ref: "#/components/schemas/Delay" }
@@ -288,7 +332,20 @@ export const schemas = {
     properties: {
       host: { type: "string" },
       port: { type: "integer" },
-      scheme: { type: "string" }
+      scheme: { type: "string" },
+      tls: { $ref: "#/components/schemas/ForwardTls" }
+    }
+  },
+  ForwardTls: {
+    description: "client identity and trusted CAs for forwarding to TLS upstreams; each value is PEM text or a path to a PEM file",
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      key: { type: "string" },
+      cert: { type: "string" },
+      ca: { type: "string" },
+      passphrase: { type: "string" },
+      rejectUnauthorized: { type: "boolean" }
     }
   },
   HttpOverrideForwardedRequest: {
@@ -296,25 +353,45 @@ export const schemas = {
     additionalProperties: false,
     properties: {
       requestOverride: { $ref: "#/components/schemas/HttpRequest" },
-      requestModifier: { $ref: "#/components/schemas/RequestModifier" }
+      requestModifier: { $ref: "#/components/schemas/RequestModifier" },
+      responseOverride: { $ref: "#/components/schemas/HttpResponse" },
+      responseModifier: { $ref: "#/components/schemas/ResponseModifier" },
+      delay: { $ref: "#/components/schemas/Delay" }
     }
   },
   RequestModifier: {
     type: "object",
     additionalProperties: false,
     properties: {
-      path: { $ref: "#/components/schemas/RequestModifierConfig" },
+      path: { $ref: "#/components/schemas/PathModifier" },
       queryStringParameters: { $ref: "#/components/schemas/RequestModifierConfig" },
       headers: { $ref: "#/components/schemas/RequestModifierConfig" },
       cookies: { $ref: "#/components/schemas/RequestModifierConfig" }
     }
   },
+  ResponseModifier: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      headers: { $ref: "#/components/schemas/RequestModifierConfig" },
+      cookies: { $ref: "#/components/schemas/RequestModifierConfig" }
+    }
+  },
+  PathModifier: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      regex: { type: "string" },
+      substitution: { type: "string" }
+    },
+    required: ["regex"]
+  },
   RequestModifierConfig: {
     type: "object",
     additionalProperties: false,
     properties: {
-      add: { type: "array", items: { type: "object" } },
-      replace: { type: "array", items: { type: "object" } },
+      add: { $ref: "#/components/schemas/KeyToMultiValue" },
+      replace: { $ref: "#/components/schemas/KeyToMultiValue" },
       remove: { type: "array", items: { type: "string" } }
     }
   },
@@ -334,6 +411,6 @@ export const schemas = {
       specUrlOrPayload: { type: "string" },
       operationId: { type: "string" }
     },
-    required: ["specUrlOrPayload", "operationId"]
+    required: ["specUrlOrPayload"]
   }
 }; 
\ No newline at end of file
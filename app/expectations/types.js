@@ -20,7 +20,8 @@ export const BodyMatcherType = {
   JSON_PATH: 'jsonPath',
   XPATH: 'xpath',
   REGEX: 'regex',
-  STRING: 'string'
+  STRING: 'string',
+  JSON_SCHEMA: 'JSON_SCHEMA'
 };
 
 /**
@@ -32,6 +33,15 @@ export const MatchType = {
   ONLY_MATCHING_FIELDS: 'onlyMatchingFields'
 };
 
+/**
+ * How the values of a `KeyToMultiValue` key are matched
+ * @enum {string}
+ */
+export const KeyMatchStyle = {
+  MATCHING_KEY: 'MATCHING_KEY',
+  SUB_SET: 'SUB_SET'
+};
+
 /**
  * HTTP schemes supported for request forwarding
  * @enum {string}
@@ -41,6 +51,49 @@ export const HttpScheme = {
   HTTPS: 'HTTPS'
 };
 
+/**
+ * HTTP protocol versions requests arrive over
+ * @enum {string}
+ */
+export const HttpProtocol = {
+  HTTP_1_1: 'HTTP_1_1',
+  HTTP_2: 'HTTP_2'
+};
+
+/**
+ * Expectation actions that answer a request locally
+ * @enum {string}
+ */
+export const ResponseAction = {
+  HTTP_RESPONSE: 'httpResponse',
+  HTTP_RESPONSE_TEMPLATE: 'httpResponseTemplate',
+  HTTP_RESPONSE_CLASS_CALLBACK: 'httpResponseClassCallback',
+  HTTP_RESPONSE_OBJECT_CALLBACK: 'httpResponseObjectCallback',
+  HTTP_ERROR: 'httpError'
+};
+
+/**
+ * Expectation actions that pass a request on to another server
+ * @enum {string}
+ */
+export const ForwardAction = {
+  HTTP_FORWARD: 'httpForward',
+  HTTP_FORWARD_TEMPLATE: 'httpForwardTemplate',
+  HTTP_FORWARD_CLASS_CALLBACK: 'httpForwardClassCallback',
+  HTTP_FORWARD_OBJECT_CALLBACK: 'httpForwardObjectCallback',
+  HTTP_OVERRIDE_FORWARDED_REQUEST: 'httpOverrideForwardedRequest'
+};
+
+/**
+ * Template languages for response and forward templates
+ * @enum {string}
+ */
+export const TemplateType = {
+  JAVASCRIPT: 'JAVASCRIPT',
+  VELOCITY: 'VELOCITY',
+  MUSTACHE: 'MUSTACHE'
+};
+
 /**
  * JSON Unit placeholders for flexible JSON matching
  * @enum {string}
@@ -54,6 +107,34 @@ export const JsonUnitPlaceholder = {
   ANY_ARRAY: '${json-unit.any-array}'
 };
 
+/**
+ * Checks if a request definition refers to an OpenAPI operation rather than listing request properties
+ * @param {Object} [requestDefinition] - Request definition
+ * @returns {boolean} True for `{ specUrlOrPayload, operationId }` definitions
+ */
+export function isOpenAPIDefinition(requestDefinition) {
+  return !!requestDefinition && typeof requestDefinition.specUrlOrPayload === 'string';
+}
+
+/**
+ * Checks if an expectation answers matching requests locally
+ * @param {Object} expectation - Expectation to check
+ * @returns {boolean} True if the expectation has a response action or answers with OpenAPI examples
+ */
+export function isResponseExpectation(expectation) {
+  return Object.values(ResponseAction).some(action => !!expectation[action]) ||
+    (isOpenAPIDefinition(expectation.httpRequest) && !isForwardExpectation(expectation));
+}
+
+/**
+ * Checks if an expectation forwards matching requests to another server
+ * @param {Object} expectation - Expectation to check
+ * @returns {boolean} True if the expectation has a forward action
+ */
+export function isForwardExpectation(expectation) {
+  return Object.values(ForwardAction).some(action => !!expectation[action]);
+}
+
 /**
  * Creates an HTTP forward configuration
  * @param {string} host - Target host
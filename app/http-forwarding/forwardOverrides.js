@@ -0,0 +1,332 @@
+/**
+ * Overrides and modifiers applied to forwarded requests and their responses
+ * @module http-forwarding/forwardOverrides
+ */
+
+import { HttpScheme } from '../expectations/types.js';
+import { parseCookieHeader, serializeCookieHeader, getSetCookieName } from '../utils/cookies.js';
+
+/**
+ * Converts a KeyToMultiValue in object or array form into name/values pairs
+ * @param {Object|Array} keyToMultiValue - `{ name: value | [values] }` or `[{ name, values }]`
+ * @returns {Array<[string, Array<string>]>} Name and values pairs
+ */
+function toEntries(keyToMultiValue) {
+  if (!keyToMultiValue) return [];
+
+  if (Array.isArray(keyToMultiValue)) {
+    return keyToMultiValue.map(({ name, values, value }) => [
+      name,
+      (values !== undefined ? values : [value]).map(String)
+    ]);
+  }
+
+  return Object.entries(keyToMultiValue)
+    .filter(([name]) => name !== 'keyMatchStyle')
+    .map(([name, values]) => [name, (Array.isArray(values) ? values : [values]).map(String)]);
+}
+
+/**
+ * Finds the key under which a name is stored
+ * @param {Object} object - Object to search
+ * @param {string} name - Name to look for
+ * @param {boolean} caseInsensitive - Whether names are case-insensitive (headers)
+ * @returns {string|undefined} Stored key or undefined
+ */
+function findKey(object, name, caseInsensitive) {
+  if (!caseInsensitive) {
+    return Object.prototype.hasOwnProperty.call(object, name) ? name : undefined;
+  }
+  return Object.keys(object).find(key => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Collapses single-element value lists to a plain value
+ * @param {Array<string>} values - Values
+ * @returns {string|Array<string>} Single value or list
+ */
+function collapse(values) {
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Applies add, replace and remove operations to a name to values map
+ * @param {Object} values - Current values by name
+ * @param {Object} modifier - Modifier with `add`, `replace` and `remove`
+ * @param {boolean} [caseInsensitive=false] - Whether names are case-insensitive (headers)
+ * @returns {Object} Modified copy of the values
+ */
+export function applyMultiValueModifier(values, modifier, caseInsensitive = false) {
+  const result = { ...(values || {}) };
+  if (!modifier) return result;
+
+  (modifier.remove || []).forEach(name => {
+    const key = findKey(result, name, caseInsensitive);
+    if (key !== undefined) delete result[key];
+  });
+
+  toEntries(modifier.replace).forEach(([name, replacement]) => {
+    const key = findKey(result, name, caseInsensitive);
+    if (key !== undefined) result[key] = collapse(replacement);
+  });
+
+  toEntries(modifier.add).forEach(([name, added]) => {
+    const key = findKey(result, name, caseInsensitive);
+    if (key === undefined) {
+      result[name] = collapse(added);
+    } else {
+      result[key] = [].concat(result[key], added);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Sets values by name, replacing any existing values for the same name
+ * @param {Object} values - Current values by name
+ * @param {Object|Array} overrides - KeyToMultiValue with the new values
+ * @param {boolean} [caseInsensitive=false] - Whether names are case-insensitive (headers)
+ * @returns {Object} Updated copy of the values
+ */
+function overrideValues(values, overrides, caseInsensitive = false) {
+  const result = { ...(values || {}) };
+  toEntries(overrides).forEach(([name, replacement]) => {
+    const key = findKey(result, name, caseInsensitive);
+    if (key !== undefined) delete result[key];
+    result[name] = collapse(replacement);
+  });
+  return result;
+}
+
+/**
+ * Reads the plain value of a StringOrJsonSchema field
+ * @param {string|Object} field - Field value
+ * @returns {string} Plain value
+ */
+function plainValue(field) {
+  return typeof field === 'object' ? (field.string || field.value) : field;
+}
+
+/**
+ * Applies a requestOverride, replacing the corresponding parts of the request
+ * @param {Object} request - Request to forward
+ * @param {Object} [requestOverride] - HttpRequest with the values to use instead
+ * @returns {Object} Overridden copy of the request
+ */
+export function applyRequestOverride(request, requestOverride) {
+  const result = { ...request };
+  if (!requestOverride) return result;
+
+  if (requestOverride.method) {
+    result.method = plainValue(requestOverride.method);
+  }
+  if (requestOverride.path) {
+    result.path = plainValue(requestOverride.path);
+  }
+  if (requestOverride.queryStringParameters) {
+    result.query = overrideValues(result.query, requestOverride.queryStringParameters);
+    delete result.originalUrl;
+  }
+  if (requestOverride.headers) {
+    result.headers = overrideValues(result.headers, requestOverride.headers, true);
+  }
+  if (requestOverride.cookies) {
+    const cookies = {
+      ...parseCookieHeader(result.headers?.cookie),
+      ...Object.fromEntries(toEntries(requestOverride.cookies).map(([name, values]) => [name, values[0]]))
+    };
+    result.headers = overrideValues(result.headers, { cookie: serializeCookieHeader(cookies) }, true);
+  }
+  if (requestOverride.body !== undefined) {
+    result.body = requestOverride.body;
+    delete result.rawBody;
+  }
+  if (requestOverride.socketAddress) {
+    result.socketAddress = requestOverride.socketAddress;
+  }
+  if (requestOverride.secure !== undefined) {
+    result.secure = requestOverride.secure;
+  }
+
+  return result;
+}
+
+/**
+ * Applies a requestModifier: regex path rewriting and add/replace/remove of query parameters,
+ * headers and cookies
+ * @param {Object} request - Request to forward
+ * @param {Object} [requestModifier] - Modifier configuration
+ * @returns {Object} Modified copy of the request
+ */
+export function applyRequestModifier(request, requestModifier) {
+  const result = { ...request };
+  if (!requestModifier) return result;
+
+  const { path, queryStringParameters, headers, cookies } = requestModifier;
+
+  if (path && path.regex) {
+    result.path = (result.path || '/').replace(new RegExp(path.regex, 'g'), path.substitution || '');
+  }
+  if (queryStringParameters) {
+    result.query = applyMultiValueModifier(result.query, queryStringParameters);
+    delete result.originalUrl;
+  }
+  if (headers) {
+    result.headers = applyMultiValueModifier(result.headers, headers, true);
+  }
+  if (cookies) {
+    const cookieHeaderKey = findKey(result.headers || {}, 'cookie', true);
+    const current = parseCookieHeader(cookieHeaderKey && result.headers[cookieHeaderKey]);
+    const modified = applyMultiValueModifier(current, cookies);
+    const serialized = serializeCookieHeader(
+      Object.fromEntries(Object.entries(modified).map(([name, value]) => [name, [].concat(value)[0]]))
+    );
+
+    result.headers = { ...result.headers };
+    if (cookieHeaderKey) delete result.headers[cookieHeaderKey];
+    if (serialized) result.headers.cookie = serialized;
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the upstream server of an overridden or computed request from its
+ * `socketAddress` or, failing that, its `Host` header and `secure` flag
+ * @param {Object} request - Request definition to send upstream
+ * @returns {{host: string, port: number, scheme: string}|null} Forward configuration or null if no target is set
+ */
+export function resolveForwardTarget(request) {
+  const { socketAddress, secure } = request;
+  let host;
+  let port;
+  let scheme = secure ? HttpScheme.HTTPS : HttpScheme.HTTP;
+
+  if (socketAddress && socketAddress.host) {
+    host = socketAddress.host;
+    port = socketAddress.port;
+    scheme = socketAddress.scheme ? socketAddress.scheme.toUpperCase() : scheme;
+  } else {
+    const hostKey = findKey(request.headers || {}, 'host', true);
+    const hostHeader = hostKey && [].concat(request.headers[hostKey])[0];
+    if (!hostHeader) return null;
+
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(hostHeader);
+    if (!match) return null;
+    host = match[1];
+    port = match[2] && parseInt(match[2], 10);
+  }
+
+  return {
+    host,
+    port: port || (scheme === HttpScheme.HTTPS ? 443 : 80),
+    scheme
+  };
+}
+
+/**
+ * Applies a responseOverride and responseModifier to an upstream response
+ * @param {Object} response - Upstream response (status, headers, body)
+ * @param {Object} [responseOverride] - HttpResponse with the values to use instead
+ * @param {Object} [responseModifier] - Modifier for headers and cookies
+ * @returns {Object} Response to return to the client
+ */
+export function applyResponseOverride(response, responseOverride, responseModifier) {
+  const result = { ...response, headers: { ...(response.headers || {}) } };
+
+  if (responseOverride) {
+    if (responseOverride.statusCode) {
+      result.status = responseOverride.statusCode;
+    }
+    if (responseOverride.headers) {
+      result.headers = overrideValues(result.headers, responseOverride.headers, true);
+    }
+    if (responseOverride.cookies) {
+      const overridden = toEntries(responseOverride.cookies);
+      const names = overridden.map(([name]) => name);
+      result.headers['set-cookie'] = [].concat(result.headers['set-cookie'] || [])
+        .filter(setCookie => !names.includes(getSetCookieName(setCookie)))
+        .concat(overridden.map(([name, values]) => `${name}=${encodeURIComponent(values[0])}`));
+    }
+    if (responseOverride.body !== undefined) {
+      result.body = responseOverride.body;
+      result.headers = applyMultiValueModifier(result.headers, { remove: ['content-encoding', 'content-length'] }, true);
+    }
+  }
+
+  if (responseModifier) {
+    if (responseModifier.headers) {
+      result.headers = applyMultiValueModifier(result.headers, responseModifier.headers, true);
+    }
+    if (responseModifier.cookies) {
+      const { add, replace, remove = [] } = responseModifier.cookies;
+      const replaced = Object.fromEntries(toEntries(replace).map(([name, values]) => [name, values[0]]));
+
+      result.headers['set-cookie'] = [].concat(result.headers['set-cookie'] || [])
+        .filter(setCookie => !remove.includes(getSetCookieName(setCookie)))
+        .map(setCookie => {
+          const name = getSetCookieName(setCookie);
+          if (!(name in replaced)) return setCookie;
+          const attributes = setCookie.indexOf(';') === -1 ? '' : setCookie.substring(setCookie.indexOf(';'));
+          return `${name}=${encodeURIComponent(replaced[name])}${attributes}`;
+        })
+        .concat(toEntries(add).map(([name, values]) => `${name}=${encodeURIComponent(values[0])}`));
+    }
+  }
+
+  if (Array.isArray(result.headers['set-cookie']) && result.headers['set-cookie'].length === 0) {
+    delete result.headers['set-cookie'];
+  }
+
+  return result;
+}
+
+/**
+ * Builds the request to forward for an httpOverrideForwardedRequest action
+ * @param {Object} request - Incoming request
+ * @param {Object} httpOverrideForwardedRequest - Override configuration
+ * @returns {{forwardedRequest: Object, forwardConfig: Object}} Request to send and its target
+ */
+export function buildOverriddenRequest(request, httpOverrideForwardedRequest) {
+  const { requestOverride, requestModifier } = httpOverrideForwardedRequest;
+  const target = resolveForwardTarget({
+    socketAddress: requestOverride?.socketAddress,
+    headers: requestOverride?.headers,
+    secure: requestOverride?.secure
+  });
+
+  if (!target) {
+    throw new Error('httpOverrideForwardedRequest.requestOverride must set socketAddress or a Host header');
+  }
+
+  const forwardedRequest = applyRequestModifier(applyRequestOverride(request, requestOverride), requestModifier);
+  return { forwardedRequest, forwardConfig: target };
+}
+
+/**
+ * Builds the request to forward from a request computed by a forward template or callback
+ * @param {Object} request - Incoming request
+ * @param {Object} computedRequest - HttpRequest returned by the template or callback
+ * @param {string} [action='httpForwardTemplate'] - Action that computed the request, for error messages
+ * @returns {{forwardedRequest: Object, forwardConfig: Object}} Request to send and its target
+ */
+export function buildComputedRequest(request, computedRequest, action = 'httpForwardTemplate') {
+  if (!computedRequest || typeof computedRequest !== 'object') {
+    throw new Error(`${action} must return a request object`);
+  }
+
+  const target = resolveForwardTarget(computedRequest);
+  if (!target) {
+    throw new Error(`${action} must return a socketAddress or a Host header`);
+  }
+
+  const forwardedRequest = applyRequestOverride({
+    method: request.method,
+    path: request.path,
+    query: {},
+    headers: {}
+  }, computedRequest);
+
+  return { forwardedRequest, forwardConfig: target };
+}
@@ -3,10 +3,15 @@
  * @module http-forwarding/forwarder
  */
 
+import fs from 'fs';
 import http from 'http';
+import http2 from 'http2';
 import https from 'https';
+import net from 'net';
+import tls from 'tls';
 import { URL } from 'url';
 import { HttpScheme } from '../expectations/types.js';
+import { CONNECTION_SPECIFIC_HEADERS } from '../http2/http2Server.js';
 
 
 export function convertToCurl(request, url, headers) {
@@ -108,6 +113,32 @@ export function buildForwardUrl(request, forwardConfig) {
   return `${protocol}://${hostWithPort}${path}${queryString}`;
 }
 
+/**
+ * Reads a PEM value given either as PEM text or as a path to a PEM file
+ * @param {string} [value] - PEM text or file path
+ * @returns {string|undefined} PEM text
+ */
+function readPem(value) {
+  if (!value) return undefined;
+  return value.includes('-----BEGIN') ? value : fs.readFileSync(value, 'utf8');
+}
+
+/**
+ * Builds the TLS options of an upstream request from `httpForward.tls`. The upstream
+ * certificate is verified when trusted CAs are given, unless `rejectUnauthorized` says otherwise.
+ * @param {Object} tlsConfig - Client key and certificate, trusted CAs and passphrase
+ * @returns {Object} Options for `https.request`
+ */
+function resolveTlsOptions({ key, cert, ca, passphrase, rejectUnauthorized }) {
+  return {
+    key: readPem(key),
+    cert: readPem(cert),
+    ca: readPem(ca),
+    passphrase,
+    rejectUnauthorized: rejectUnauthorized !== undefined ? rejectUnauthorized : !!ca
+  };
+}
+
 /**
  * @param {Object} request - Original request
  * @param {Object} forwardConfig - Forward configuration
@@ -194,61 +225,142 @@ export async function forwardRequest(request, forwardConfig) {
     path: parsedUrl.pathname + parsedUrl.search,
     rejectUnauthorized: false
   };
-  
+
+  if (parsedUrl.protocol === 'https:' && forwardConfig.tls) {
+    Object.assign(options, resolveTlsOptions(forwardConfig.tls));
+  }
+
+  const body = getRequestBody(request);
+
+  if (parsedUrl.protocol !== 'https:') {
+    return sendHttp1Request(httpModule, options, body);
+  }
+
+  const socket = await connectTls(options);
+  if (socket.alpnProtocol === 'h2') {
+    return sendHttp2Request(socket, parsedUrl, options, body);
+  }
+  return sendHttp1Request(httpModule, { ...options, createConnection: () => socket }, body);
+}
+
+/**
+ * Returns the body to send upstream; GET and HEAD requests are sent without one
+ * @param {Object} request - Original request
+ * @returns {Buffer|string|undefined} Request body
+ */
+function getRequestBody(request) {
+  if (['GET', 'HEAD'].includes(request.method.toUpperCase())) {
+    return undefined;
+  }
+  if (request.rawBody) {
+    return request.rawBody;
+  }
+  if (request.body) {
+    return typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+  }
+  return undefined;
+}
+
+/**
+ * Opens a TLS connection to the upstream offering both h2 and HTTP/1.1 through ALPN
+ * @param {Object} options - Request options with the TLS options of the upstream
+ * @returns {Promise<import('tls').TLSSocket>} Connection once the handshake completed
+ */
+function connectTls(options) {
   return new Promise((resolve, reject) => {
-    const req = httpModule.request(options, (res) => {      
-      const responseData = {
-        status: res.statusCode,
-        headers: res.headers,
-        body: Buffer.alloc(0)
-      };
-      
-      const chunks = [];
-      res.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
-      
-      res.on('end', () => {
-        if (chunks.length > 0) {
-          responseData.body = Buffer.concat(chunks);
-        }
-        
-        try {
-          const contentType = res.headers['content-type'];
-          let bodyForLog;
-          
-          if (contentType && contentType.includes('application/json')) {
-            bodyForLog = JSON.parse(responseData.body.toString());
-          } else if (contentType && (contentType.includes('text/') || 
-                                    contentType.includes('application/xml') || 
-                                    contentType.includes('application/javascript'))) {
-            bodyForLog = responseData.body.toString().substring(0, 200) + '...';
-          } else {
-            bodyForLog = '<binary data>';
-          }
-        } catch (error) {
-        }
-        
-        resolve(responseData);
-      });
+    const socket = tls.connect({
+      host: options.hostname,
+      port: options.port,
+      servername: net.isIP(options.hostname) ? undefined : options.hostname,
+      ALPNProtocols: ['h2', 'http/1.1'],
+      key: options.key,
+      cert: options.cert,
+      ca: options.ca,
+      passphrase: options.passphrase,
+      rejectUnauthorized: options.rejectUnauthorized
     });
-    
-    req.on('error', (error) => {
-      reject(new Error(`Failed to forward request: ${error.message}`));
+    socket.once('secureConnect', () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Sends a request over HTTP/1.1
+ * @param {Object} httpModule - `http` or `https`
+ * @param {Object} options - Request options
+ * @param {Buffer|string} [body] - Request body
+ * @returns {Promise<Object>} The response from the forwarded server
+ */
+function sendHttp1Request(httpModule, options, body) {
+  return new Promise((resolve, reject) => {
+    const req = httpModule.request(options, (res) => {
+      readResponse(res, res.statusCode, res.headers).then(resolve, reject);
     });
     
-    if (!['GET', 'HEAD'].includes(request.method.toUpperCase())) {
-      if (request.rawBody) {
-        req.write(request.rawBody);
-      } else if (request.body) {
-        if (typeof request.body === 'string') {
-          req.write(request.body);
-        } else {
-          req.write(JSON.stringify(request.body));
-        }
-      }
+    req.on('error', reject);
+    
+    if (body) {
+      req.write(body);
     }
     
     req.end();
   });
+}
+
+/**
+ * Sends a request over HTTP/2 on a connection where the upstream negotiated h2
+ * @param {import('tls').TLSSocket} socket - Connection to the upstream
+ * @param {URL} url - Upstream URL
+ * @param {Object} options - Request options
+ * @param {Buffer|string} [body] - Request body
+ * @returns {Promise<Object>} The response from the forwarded server
+ */
+function sendHttp2Request(socket, url, options, body) {
+  const session = http2.connect(url.origin, { createConnection: () => socket });
+
+  return new Promise((resolve, reject) => {
+    session.on('error', reject);
+
+    const headers = {
+      ':method': options.method,
+      ':path': options.path,
+      ':authority': options.headers.host
+    };
+    for (const [key, value] of Object.entries(options.headers)) {
+      const name = key.toLowerCase();
+      if (name !== 'host' && !CONNECTION_SPECIFIC_HEADERS.includes(name) && !name.startsWith(':')) {
+        headers[name] = value;
+      }
+    }
+
+    const stream = session.request(headers, { endStream: !body });
+    stream.on('error', reject);
+    stream.on('response', responseHeaders => {
+      const { ':status': status, ...rest } = responseHeaders;
+      readResponse(stream, status, rest).then(resolve, reject);
+    });
+
+    if (body) {
+      stream.end(body);
+    }
+  }).finally(() => session.close());
+}
+
+/**
+ * Collects an upstream response
+ * @param {import('stream').Readable} stream - Response body stream
+ * @param {number} status - Status code
+ * @param {Object} headers - Response headers
+ * @returns {Promise<Object>} Status, headers and body as a Buffer
+ */
+function readResponse(stream, status, headers) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve({ status, headers, body: Buffer.concat(chunks) }));
+    stream.on('error', reject);
+  });
 } 
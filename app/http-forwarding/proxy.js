@@ -0,0 +1,118 @@
+/**
+ * Forward proxy support: absolute-URI requests and CONNECT tunnels
+ * @module http-forwarding/proxy
+ */
+
+import os from 'os';
+import { HttpScheme } from '../expectations/types.js';
+import { recordRequest } from '../api/handlers/retrieveHandler.js';
+import { peekFirstChunk, isTlsHandshake, isHttp2Preface, acceptTlsConnection, handOverConnection } from '../tls/tlsListener.js';
+import logger from '../utils/logger.js';
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization'];
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1', '[::1]', os.hostname()];
+
+/**
+ * Splits a CONNECT authority (`host:port`) into host and port
+ * @param {string} authority - Request target of a CONNECT request
+ * @returns {{host: string, port: number}} Tunnel target
+ */
+export function parseAuthority(authority) {
+  const { hostname, port } = new URL(`http://${authority}`);
+  return { host: hostname.replace(/^\[|\]$/g, ''), port: parseInt(port, 10) || 443 };
+}
+
+/**
+ * Checks whether a target is this server, so requests proxied to it are served directly
+ * @param {{host: string, port: number}} target - Proxy target
+ * @param {import('net').Socket} socket - Socket the request arrived on
+ * @returns {boolean} True if the target is this server
+ */
+function isLocalServer(target, socket) {
+  return !!socket && target.port === socket.localPort && LOCAL_HOSTNAMES.includes(target.host);
+}
+
+/**
+ * Returns the upstream server of a proxied request: the host of an absolute request URI,
+ * or the target of the CONNECT tunnel the request arrived through
+ * @param {import('express').Request} req - Express request
+ * @returns {{host: string, port: number, scheme: string}|null} Forward configuration, or null if the request is not proxied
+ */
+export function getProxyTarget(req) {
+  if (req.socket && req.socket.proxyTarget) {
+    return req.socket.proxyTarget;
+  }
+
+  if (!/^https?:\/\//i.test(req.originalUrl)) {
+    return null;
+  }
+
+  const url = new URL(req.originalUrl);
+  const scheme = url.protocol === 'https:' ? HttpScheme.HTTPS : HttpScheme.HTTP;
+  const target = {
+    host: url.hostname.replace(/^\[|\]$/g, ''),
+    port: parseInt(url.port, 10) || (scheme === HttpScheme.HTTPS ? 443 : 80),
+    scheme
+  };
+
+  return isLocalServer(target, req.socket) ? null : target;
+}
+
+/**
+ * Removes the headers addressed to the proxy from a request passed through to its host
+ * @param {Object} request - Request object
+ * @returns {Object} Request to send upstream
+ */
+export function buildPassThroughRequest(request) {
+  const headers = Object.fromEntries(
+    Object.entries(request.headers || {}).filter(([name]) => !PROXY_HEADERS.includes(name.toLowerCase()))
+  );
+  return { ...request, headers };
+}
+
+/**
+ * Accepts CONNECT requests on a server. Traffic sent through a tunnel is served by the
+ * server itself, so it is matched against expectations, passed through to the tunnel's
+ * target when nothing matches, and recorded; TLS is terminated with a certificate for
+ * the target issued by the local certificate authority.
+ * @param {import('http').Server} server - HTTP server
+ * @param {import('http2').Http2Server} [http2Server] - HTTP/2 server for tunnels that speak HTTP/2
+ */
+export function attachProxyTunnel(server, http2Server) {
+  server.on('connect', (req, clientSocket, head) => {
+    let target;
+    try {
+      target = parseAuthority(req.url);
+    } catch (error) {
+      clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    recordRequest({ method: req.method, path: req.url, headers: req.headers, query: {}, body: {} });
+    logger.info('Proxy tunnel opened', { event: 'PROXY_TUNNEL_OPENED', host: target.host, port: target.port });
+
+    clientSocket.on('error', () => clientSocket.destroy());
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+    const routeTunnel = firstChunk => {
+      if (isTlsHandshake(firstChunk)) {
+        acceptTlsConnection(server, clientSocket, {
+          defaultHostname: target.host,
+          proxyTarget: { ...target, scheme: HttpScheme.HTTPS },
+          http2Server
+        });
+        return;
+      }
+
+      clientSocket.proxyTarget = { ...target, scheme: HttpScheme.HTTP };
+      handOverConnection(http2Server && isHttp2Preface(firstChunk) ? http2Server : server, clientSocket);
+    };
+
+    if (head && head.length > 0) {
+      clientSocket.pause();
+      clientSocket.unshift(head);
+      routeTunnel(head);
+    } else {
+      peekFirstChunk(clientSocket, routeTunnel);
+    }
+  });
+}
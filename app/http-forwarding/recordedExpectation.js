@@ -0,0 +1,117 @@
+/**
+ * Converts forwarded traffic into expectations that replay it
+ * @module http-forwarding/recordedExpectation
+ */
+
+import zlib from 'zlib';
+
+const SKIPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding'];
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.+-]+\+)?(json|xml|javascript|x-www-form-urlencoded))/i;
+
+/**
+ * Decompresses a response body according to its Content-Encoding
+ * @param {Buffer} body - Body as received
+ * @param {string} [encoding] - Content-Encoding header
+ * @returns {Buffer} Decoded body
+ */
+function decodeContent(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(body);
+    case 'deflate':
+      return zlib.inflateSync(body);
+    case 'br':
+      return zlib.brotliDecompressSync(body);
+    default:
+      return body;
+  }
+}
+
+/**
+ * Builds the request matcher of a recorded expectation from the received request
+ * @param {Object} request - Received request
+ * @returns {Object} Request definition
+ */
+function buildRequestMatcher(request) {
+  const httpRequest = {
+    method: request.method,
+    path: request.path
+  };
+
+  const query = request.query || {};
+  if (Object.keys(query).length > 0) {
+    httpRequest.queryStringParameters = Object.fromEntries(
+      Object.entries(query).map(([name, value]) => [name, [].concat(value).map(String)])
+    );
+  }
+
+  if (request.body && typeof request.body === 'object' && !Buffer.isBuffer(request.body) &&
+      Object.keys(request.body).length > 0) {
+    httpRequest.body = { type: 'json', value: request.body };
+  } else if (typeof request.body === 'string' && request.body !== '') {
+    httpRequest.body = { type: 'string', value: request.body };
+  }
+
+  return httpRequest;
+}
+
+/**
+ * Builds the response of a recorded expectation from the upstream response. Compressed
+ * bodies are stored decompressed; JSON objects and arrays are stored parsed, other text
+ * as a string and anything else as a base64 `BINARY` body.
+ * @param {Object} response - Upstream response (`status`, `headers`, `body`)
+ * @returns {Object} HttpResponse
+ */
+function buildResponse(response) {
+  const headers = {};
+  Object.entries(response.headers || {}).forEach(([name, value]) => {
+    if (!SKIPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+      headers[name] = [].concat(value).map(String);
+    }
+  });
+
+  const httpResponse = { statusCode: response.status, headers };
+  let body = response.body;
+  if (!body || body.length === 0) {
+    return httpResponse;
+  }
+
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    body = decodeContent(Buffer.from(body), response.headers && response.headers['content-encoding']);
+    const contentType = String((response.headers && response.headers['content-type']) || '');
+
+    if (/json/i.test(contentType)) {
+      try {
+        const json = JSON.parse(body.toString('utf8'));
+        httpResponse.body = json !== null && typeof json === 'object' ? json : body.toString('utf8');
+      } catch (error) {
+        httpResponse.body = body.toString('utf8');
+      }
+      return httpResponse;
+    }
+
+    httpResponse.body = TEXT_CONTENT_TYPE.test(contentType) ?
+      body.toString('utf8') :
+      { type: 'BINARY', base64Bytes: body.toString('base64') };
+    return httpResponse;
+  }
+
+  httpResponse.body = body;
+  return httpResponse;
+}
+
+/**
+ * Converts a forwarded request and the response it got into an expectation that answers
+ * the same request with the same response, ready to be loaded as an initialization file
+ * @param {Object} request - Request as received from the client
+ * @param {Object} response - Response relayed to the client (`status`, `headers`, `body`)
+ * @returns {Object} Expectation
+ */
+export function buildRecordedExpectation(request, response) {
+  return {
+    httpRequest: buildRequestMatcher(request),
+    httpResponse: buildResponse(response),
+    times: { unlimited: true }
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Serves the Express application over HTTP/2, both h2 negotiated through TLS and h2c
+ * @module http2/http2Server
+ */
+
+import http2 from 'http2';
+import express from 'express';
+import logger from '../utils/logger.js';
+
+/**
+ * Headers that only describe a single HTTP/1.1 connection, which HTTP/2 forbids
+ * @type {Array<string>}
+ */
+export const CONNECTION_SPECIFIC_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Gives an Express application's requests and responses the HTTP/2 compatibility API as
+ * their base. Express re-parents every request onto `app.request` (and every response onto
+ * `app.response`), whose base is otherwise the HTTP/1.1 `IncomingMessage`/`ServerResponse`.
+ * @param {import('express').Express} app - Express application used for HTTP/2 only
+ * @returns {import('express').Express} The same application
+ */
+function adaptToHttp2(app) {
+  const request = Object.create(http2.Http2ServerRequest.prototype, Object.getOwnPropertyDescriptors(express.request));
+  const response = Object.create(http2.Http2ServerResponse.prototype, {
+    ...Object.getOwnPropertyDescriptors(express.response),
+    // Express assigns `res.req`, which HTTP/2 responses only expose as a getter
+    req: { value: undefined, writable: true, configurable: true }
+  });
+
+  Object.setPrototypeOf(app.request, request);
+  Object.setPrototypeOf(app.response, response);
+  return app;
+}
+
+/**
+ * Creates an HTTP/2 server for an Express application. The server never listens itself;
+ * the protocol listener hands it the connections that speak HTTP/2.
+ * @param {import('express').Express} app - Express application, which must not also serve HTTP/1.1
+ * @returns {import('http2').Http2Server} HTTP/2 server
+ */
+export function createHttp2Server(app) {
+  const http2App = adaptToHttp2(app);
+  const server = http2.createServer({}, (req, res) => {
+    // Body parsers only read bodies announced by content-length or transfer-encoding,
+    // which HTTP/2 clients may leave out
+    if (!req.stream.endAfterHeaders && req.headers['content-length'] === undefined) {
+      req.headers['transfer-encoding'] = 'chunked';
+    }
+    http2App(req, res);
+  });
+
+  server.on('sessionError', error => {
+    logger.debug('HTTP/2 session failed', { event: 'HTTP2_SESSION_FAILED', error: error.message });
+  });
+
+  return server;
+}
+
+/**
+ * Converts HTTP/2 request headers to their HTTP/1.1 form: pseudo-headers are dropped and
+ * `:authority` becomes `host`. HTTP/1.1 headers are returned as they are.
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers without pseudo-headers
+ */
+export function toHttp1Headers(headers) {
+  if (!headers || !Object.keys(headers).some(name => name.startsWith(':'))) {
+    return headers;
+  }
+
+  const converted = Object.fromEntries(Object.entries(headers).filter(([name]) => !name.startsWith(':')));
+  if (!converted.host && headers[':authority']) {
+    converted.host = headers[':authority'];
+  }
+  return converted;
+}
@@ -0,0 +1,164 @@
+/**
+ * Builds example responses for OpenAPI operations from their examples or schemas
+ * @module openapi/exampleGenerator
+ */
+
+import { resolveRef } from './specLoader.js';
+
+const MAX_DEPTH = 8;
+
+const STRING_FORMAT_EXAMPLES = {
+  date: '2024-01-01',
+  'date-time': '2024-01-01T00:00:00Z',
+  time: '00:00:00',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.168.0.1',
+  ipv6: '::1',
+  byte: 'c3RyaW5n',
+  password: 'password'
+};
+
+/**
+ * Generates an example value from a schema, preferring `example`, `default`, `enum` and `const`
+ * @param {Object} spec - Specification the schema belongs to
+ * @param {Object} schemaOrRef - Schema or reference to one
+ * @param {number} [depth=0] - Nesting depth, limiting recursive schemas
+ * @returns {*} Example value
+ */
+export function generateExample(spec, schemaOrRef, depth = 0) {
+  const schema = resolveRef(spec, schemaOrRef);
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) {
+    return null;
+  }
+
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const example = generateExample(spec, part, depth + 1);
+      return example && typeof example === 'object' && !Array.isArray(example) ?
+        { ...merged, ...example } :
+        merged;
+    }, {});
+  }
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return generateExample(spec, alternatives[0], depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([name, property]) => [name, generateExample(spec, property, depth + 1)])
+      );
+    case 'array':
+      return schema.items ? [generateExample(spec, schema.items, depth + 1)] : [];
+    case 'string':
+      return STRING_FORMAT_EXAMPLES[schema.format] || 'string';
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Picks the response to return: the requested status code, otherwise the first 2xx, otherwise `default`
+ * @param {Object} responses - Operation responses
+ * @param {number|string} [statusCode] - Requested status code
+ * @returns {string|undefined} Response key
+ */
+function selectResponseKey(responses, statusCode) {
+  const keys = Object.keys(responses);
+  if (statusCode !== undefined) {
+    return keys.find(key => key === String(statusCode)) ||
+      keys.find(key => key.toUpperCase() === `${String(statusCode)[0]}XX`);
+  }
+  return keys.find(key => /^2\d\d$/.test(key)) ||
+    keys.find(key => key.toUpperCase() === '2XX') ||
+    keys.find(key => key === 'default') ||
+    keys[0];
+}
+
+/**
+ * Picks the example of a media type: `example`, then the first of `examples`, then one generated from `schema`
+ * @param {Object} spec - Specification
+ * @param {Object} mediaType - Media type object
+ * @returns {*} Example value
+ */
+function selectExample(spec, mediaType) {
+  if (mediaType.example !== undefined) {
+    return mediaType.example;
+  }
+
+  const examples = Object.values(mediaType.examples || {});
+  if (examples.length > 0) {
+    const example = resolveRef(spec, examples[0]);
+    if (example && example.value !== undefined) {
+      return example.value;
+    }
+  }
+
+  return generateExample(spec, mediaType.schema);
+}
+
+/**
+ * Builds an example HttpResponse for an operation
+ * @param {Object} spec - Specification
+ * @param {Object} operation - Operation from listOperations
+ * @param {number|string} [statusCode] - Status code of the response to use
+ * @returns {Object} HttpResponse
+ */
+export function buildExampleResponse(spec, operation, statusCode) {
+  const key = selectResponseKey(operation.responses, statusCode);
+  const response = key !== undefined ? resolveRef(spec, operation.responses[key]) : undefined;
+
+  if (!response) {
+    throw new Error(`Operation ${operation.operationId} has no ${statusCode !== undefined ? statusCode + ' ' : ''}response`);
+  }
+
+  let status = 200;
+  if (/^\d{3}$/.test(key)) {
+    status = Number(key);
+  } else if (/^\dXX$/i.test(key)) {
+    status = statusCode !== undefined ? Number(statusCode) : Number(key[0]) * 100;
+  }
+
+  const httpResponse = { statusCode: status, headers: {} };
+
+  Object.entries(response.headers || {}).forEach(([name, headerOrRef]) => {
+    const header = resolveRef(spec, headerOrRef) || {};
+    const value = header.example !== undefined ? header.example : generateExample(spec, header.schema);
+    if (value !== null && value !== undefined) {
+      httpResponse.headers[name] = [String(value)];
+    }
+  });
+
+  const contentEntries = Object.entries(response.content || {});
+  const [contentType, mediaType] = contentEntries.find(([name]) => /json/i.test(name)) || contentEntries[0] || [];
+
+  if (contentType) {
+    httpResponse.headers['content-type'] = [contentType];
+    const body = selectExample(spec, mediaType || {});
+    if (body !== null && body !== undefined) {
+      const isJson = /json/i.test(contentType);
+      const keepAsIs = isJson ? typeof body === 'object' : typeof body === 'string';
+      httpResponse.body = keepAsIs ? body : JSON.stringify(body);
+    }
+  }
+
+  return httpResponse;
+}
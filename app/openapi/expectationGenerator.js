@@ -0,0 +1,39 @@
+/**
+ * Generates one expectation per operation of an OpenAPI specification
+ * @module openapi/expectationGenerator
+ */
+
+import { loadSpec } from './specLoader.js';
+import { listOperations } from './openapiMatcher.js';
+import { buildExampleResponse } from './exampleGenerator.js';
+
+/**
+ * Builds expectations answering operations of a specification with their example responses
+ * @param {string} specUrlOrPayload - Inline JSON/YAML, file path or file URL
+ * @param {Object<string, string|number>} [operationsAndResponses] - Status code to answer with by operationId;
+ *   when given, only these operations get an expectation
+ * @returns {Array<Object>} Expectations without IDs
+ */
+export function buildOpenAPIExpectations(specUrlOrPayload, operationsAndResponses) {
+  const spec = loadSpec(specUrlOrPayload);
+  const operations = listOperations(spec);
+  let selected = operations.map(operation => ({ operation, statusCode: undefined }));
+
+  if (operationsAndResponses && Object.keys(operationsAndResponses).length > 0) {
+    selected = Object.entries(operationsAndResponses).map(([operationId, statusCode]) => {
+      const operation = operations.find(candidate => candidate.operationId === operationId);
+      if (!operation) {
+        throw new Error(`Operation ${operationId} not found in OpenAPI specification`);
+      }
+      return { operation, statusCode };
+    });
+  }
+
+  return selected.map(({ operation, statusCode }) => ({
+    httpRequest: {
+      specUrlOrPayload,
+      operationId: operation.operationId
+    },
+    httpResponse: buildExampleResponse(spec, operation, statusCode)
+  }));
+}
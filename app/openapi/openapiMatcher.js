@@ -0,0 +1,385 @@
+/**
+ * Matches requests against the operations of an OpenAPI specification
+ * @module openapi/openapiMatcher
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { loadSpec, resolveRef } from './specLoader.js';
+import { parseCookieHeader } from '../utils/cookies.js';
+import logger from '../utils/logger.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const bodyAjv = addFormats(new Ajv({ strict: false, allErrors: false }));
+const parameterAjv = addFormats(new Ajv({ strict: false, allErrors: false, coerceTypes: 'array' }));
+
+/**
+ * Compiled validators by schema object, one cache per Ajv instance
+ * @type {Map<Ajv, WeakMap<Object, Function>>}
+ */
+const validators = new Map([[bodyAjv, new WeakMap()], [parameterAjv, new WeakMap()]]);
+
+/**
+ * Operations by specification
+ * @type {WeakMap<Object, Array<Object>>}
+ */
+const operationsBySpec = new WeakMap();
+
+/**
+ * Validates a value against a schema from a specification. The schema is compiled next to
+ * the specification's components so `$ref`s inside it resolve, and the value is validated
+ * as a property of a wrapper object so type coercion can apply to it.
+ * @param {Ajv} ajv - Ajv instance
+ * @param {Object} spec - Specification
+ * @param {Object} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if the value is valid
+ */
+function validateSchema(ajv, spec, schema, value) {
+  const cache = validators.get(ajv);
+  let validate = cache.get(schema);
+
+  if (!validate) {
+    validate = ajv.compile({
+      components: spec.components || {},
+      type: 'object',
+      properties: { value: schema }
+    });
+    cache.set(schema, validate);
+  }
+
+  return validate({ value });
+}
+
+/**
+ * Extracts the base paths declared in a specification's `servers`
+ * @param {Object} spec - Specification
+ * @returns {Array<string>} Base paths without trailing slash, always including ''
+ */
+function getBasePaths(spec) {
+  const basePaths = new Set(['']);
+
+  (spec.servers || []).forEach(server => {
+    if (!server || typeof server.url !== 'string') return;
+
+    const url = server.url.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+      const variable = server.variables && server.variables[name];
+      return variable && variable.default !== undefined ? variable.default : placeholder;
+    });
+
+    let pathname;
+    try {
+      pathname = new URL(url, 'http://localhost').pathname;
+    } catch (error) {
+      return;
+    }
+    basePaths.add(decodeURI(pathname).replace(/\/+$/, ''));
+  });
+
+  return Array.from(basePaths);
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a templated path such as `/pets/{petId}` into a regex capturing path parameters
+ * @param {string} pathTemplate - Templated path
+ * @param {Array<string>} basePaths - Base paths the path may be served under
+ * @returns {{pattern: RegExp, names: Array<string>}} Path regex and parameter names in capture order
+ */
+function compilePathTemplate(pathTemplate, basePaths) {
+  const names = [];
+  const body = pathTemplate.split(/(\{[^}]+\})/).map(part => {
+    const parameter = /^\{([^}]+)\}$/.exec(part);
+    if (parameter) {
+      names.push(parameter[1]);
+      return '([^/]+)';
+    }
+    return escapeRegex(part);
+  }).join('');
+
+  const prefixes = basePaths.map(escapeRegex).join('|');
+  return { pattern: new RegExp(`^(?:${prefixes})${body}/?$`), names };
+}
+
+/**
+ * Merges path-level and operation-level parameters; operation parameters win
+ * @param {Object} spec - Specification
+ * @param {Array<Object>} [pathParameters] - Parameters declared on the path item
+ * @param {Array<Object>} [operationParameters] - Parameters declared on the operation
+ * @returns {Array<Object>} Resolved parameters
+ */
+function mergeParameters(spec, pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+  [...pathParameters, ...operationParameters].forEach(parameter => {
+    const resolved = resolveRef(spec, parameter);
+    if (resolved && resolved.name && resolved.in) {
+      merged.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * Lists the operations of a specification
+ * @param {Object} spec - Specification
+ * @returns {Array<Object>} Operations with method, path template, parameters, requestBody and responses
+ */
+export function listOperations(spec) {
+  if (operationsBySpec.has(spec)) {
+    return operationsBySpec.get(spec);
+  }
+
+  const basePaths = getBasePaths(spec);
+  const operations = [];
+
+  Object.entries(spec.paths || {}).forEach(([pathTemplate, pathItemOrRef]) => {
+    const pathItem = resolveRef(spec, pathItemOrRef) || {};
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const { pattern, names } = compilePathTemplate(pathTemplate, basePaths);
+
+      operations.push({
+        operationId: operation.operationId || `${method.toUpperCase()} ${pathTemplate}`,
+        method: method.toUpperCase(),
+        pathTemplate,
+        pathPattern: pattern,
+        pathParameterNames: names,
+        parameters: mergeParameters(spec, pathItem.parameters, operation.parameters),
+        requestBody: resolveRef(spec, operation.requestBody),
+        responses: operation.responses || {}
+      });
+    });
+  });
+
+  operationsBySpec.set(spec, operations);
+  return operations;
+}
+
+/**
+ * Finds an operation by operationId
+ * @param {Object} spec - Specification
+ * @param {string} operationId - Operation ID
+ * @returns {Object|undefined} Operation
+ */
+export function findOperation(spec, operationId) {
+  return listOperations(spec).find(operation => operation.operationId === operationId);
+}
+
+/**
+ * Reads the value of a parameter from a request
+ * @param {Object} request - Incoming request
+ * @param {Object} parameter - Parameter definition
+ * @param {Object<string, string>} pathParameters - Path parameters captured from the path
+ * @returns {*} Parameter value or undefined if absent
+ */
+function getParameterValue(request, parameter, pathParameters) {
+  const name = parameter.name;
+
+  switch (parameter.in) {
+    case 'path':
+      return pathParameters[name];
+    case 'query':
+      return (request.query || {})[name];
+    case 'header': {
+      const headers = request.headers || {};
+      const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+      return key !== undefined ? headers[key] : undefined;
+    }
+    case 'cookie':
+      return parseCookieHeader((request.headers || {}).cookie)[name];
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks the parameters of a request against an operation
+ * @param {Object} spec - Specification
+ * @param {Object} request - Incoming request
+ * @param {Object} operation - Operation
+ * @param {Object<string, string>} pathParameters - Path parameters captured from the path
+ * @returns {boolean} True if all parameters are valid
+ */
+function matchesParameters(spec, request, operation, pathParameters) {
+  return operation.parameters.every(parameter => {
+    const value = getParameterValue(request, parameter, pathParameters);
+
+    if (value === undefined) {
+      return !parameter.required && parameter.in !== 'path';
+    }
+
+    const schema = resolveRef(spec, parameter.schema);
+    if (!schema) {
+      return true;
+    }
+
+    const isArraySchema = schema.type === 'array';
+    const normalized = isArraySchema && !Array.isArray(value) ? String(value).split(',') : value;
+    return validateSchema(parameterAjv, spec, schema, normalized);
+  });
+}
+
+/**
+ * Checks if a request carries a body
+ * @param {Object} request - Incoming request
+ * @returns {boolean} True if the request has a non-empty body
+ */
+function hasBody(request) {
+  if (request.rawBody !== undefined && request.rawBody !== null) {
+    return String(request.rawBody).length > 0;
+  }
+  const { body } = request;
+  if (body === undefined || body === null) return false;
+  if (typeof body === 'string') return body.length > 0;
+  if (Buffer.isBuffer(body)) return body.length > 0;
+  return typeof body !== 'object' || Object.keys(body).length > 0;
+}
+
+/**
+ * Finds the media type of a requestBody that applies to a content type
+ * @param {Object} content - requestBody content map
+ * @param {string} [contentType] - Request Content-Type header
+ * @returns {[string, Object]|undefined} Media type name and definition
+ */
+function findMediaType(content, contentType) {
+  const entries = Object.entries(content || {});
+  if (!contentType) {
+    return entries[0];
+  }
+
+  const [type] = contentType.split(';').map(part => part.trim().toLowerCase());
+  const [mainType] = type.split('/');
+  return entries.find(([name]) => name.toLowerCase() === type) ||
+    entries.find(([name]) => name.toLowerCase() === `${mainType}/*`) ||
+    entries.find(([name]) => name === '*/*');
+}
+
+/**
+ * Checks the body of a request against an operation's requestBody
+ * @param {Object} spec - Specification
+ * @param {Object} request - Incoming request
+ * @param {Object} operation - Operation
+ * @returns {boolean} True if the body is acceptable
+ */
+function matchesRequestBody(spec, request, operation) {
+  const { requestBody } = operation;
+  if (!requestBody) {
+    return true;
+  }
+  if (!hasBody(request)) {
+    return !requestBody.required;
+  }
+
+  const contentType = (request.headers || {})['content-type'];
+  const mediaType = findMediaType(requestBody.content, contentType);
+  if (!mediaType) {
+    return false;
+  }
+
+  const [name, definition] = mediaType;
+  const schema = definition && resolveRef(spec, definition.schema);
+  if (!schema || !/json/i.test(name)) {
+    return true;
+  }
+
+  let body = request.body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      body = JSON.parse(body.toString());
+    } catch (error) {
+      return false;
+    }
+  }
+  return validateSchema(bodyAjv, spec, schema, body);
+}
+
+/**
+ * Checks if a request matches an operation
+ * @param {Object} spec - Specification
+ * @param {Object} request - Incoming request
+ * @param {Object} operation - Operation
+ * @returns {boolean} True if the request matches
+ */
+export function matchesOperation(spec, request, operation) {
+  if (String(request.method).toUpperCase() !== operation.method) {
+    return false;
+  }
+
+  const match = operation.pathPattern.exec(request.path || '/');
+  if (!match) {
+    return false;
+  }
+
+  const pathParameters = {};
+  operation.pathParameterNames.forEach((name, index) => {
+    try {
+      pathParameters[name] = decodeURIComponent(match[index + 1]);
+    } catch (error) {
+      pathParameters[name] = match[index + 1];
+    }
+  });
+
+  return matchesParameters(spec, request, operation, pathParameters) &&
+    matchesRequestBody(spec, request, operation);
+}
+
+/**
+ * Finds the operation of an OpenAPI request definition that a request matches
+ * @param {Object} request - Incoming request
+ * @param {Object} openAPIDefinition - `{ specUrlOrPayload, operationId }`
+ * @returns {Object|null} Matching operation and its specification, or null
+ */
+export function resolveOperation(request, openAPIDefinition) {
+  const spec = loadSpec(openAPIDefinition.specUrlOrPayload);
+  const operation = listOperations(spec).find(candidate =>
+    (!openAPIDefinition.operationId || candidate.operationId === openAPIDefinition.operationId) &&
+    matchesOperation(spec, request, candidate)
+  );
+  return operation ? { spec, operation } : null;
+}
+
+/**
+ * Checks if a request matches an OpenAPI request definition
+ * @param {Object} request - Incoming request
+ * @param {Object} openAPIDefinition - `{ specUrlOrPayload, operationId }`
+ * @returns {boolean} True if the request matches the definition
+ */
+export function matchesOpenAPIDefinition(request, openAPIDefinition) {
+  try {
+    return resolveOperation(request, openAPIDefinition) !== null;
+  } catch (error) {
+    logger.warn('Unable to match request against OpenAPI specification', {
+      event: 'OPENAPI_MATCH_FAILED',
+      operationId: openAPIDefinition.operationId,
+      reason: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Checks that an OpenAPI request definition can be loaded and refers to an existing operation
+ * @param {Object} openAPIDefinition - `{ specUrlOrPayload, operationId }`
+ * @returns {string|null} Error message, or null if the definition is valid
+ */
+export function validateOpenAPIDefinition(openAPIDefinition) {
+  try {
+    const spec = loadSpec(openAPIDefinition.specUrlOrPayload);
+    if (openAPIDefinition.operationId && !findOperation(spec, openAPIDefinition.operationId)) {
+      return `Operation ${openAPIDefinition.operationId} not found in OpenAPI specification`;
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Loads OpenAPI 3.x specifications given inline or as a local file
+ * @module openapi/specLoader
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+/**
+ * Parsed inline specifications by payload
+ * @type {Map<string, Object>}
+ */
+const inlineSpecs = new Map();
+
+/**
+ * Parsed file specifications by absolute path, with the modification time they were read at
+ * @type {Map<string, {mtimeMs: number, spec: Object}>}
+ */
+const fileSpecs = new Map();
+
+/**
+ * Checks if a specUrlOrPayload holds the specification itself rather than its location
+ * @param {string} specUrlOrPayload - Spec payload, file path or file URL
+ * @returns {boolean} True for inline JSON or YAML
+ */
+export function isInlineSpec(specUrlOrPayload) {
+  const source = specUrlOrPayload.trim();
+  return source.startsWith('{') || (source.includes('\n') && /^\s*["']?openapi["']?\s*:/m.test(source));
+}
+
+/**
+ * Parses and checks a specification document
+ * @param {string} content - JSON or YAML document
+ * @param {string} source - Description of where the document came from, for error messages
+ * @returns {Object} Parsed specification
+ */
+function parseSpec(content, source) {
+  let spec;
+  try {
+    spec = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Unable to parse OpenAPI specification ${source}: ${error.message}`);
+  }
+
+  if (!spec || typeof spec !== 'object' || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error(`Unsupported OpenAPI specification ${source}: only OpenAPI 3.x is supported`);
+  }
+  return spec;
+}
+
+/**
+ * Resolves a spec location to an absolute file path
+ * @param {string} location - File path or file URL
+ * @returns {string} Absolute file path
+ */
+function resolveSpecPath(location) {
+  if (/^https?:\/\//i.test(location)) {
+    throw new Error(`Remote OpenAPI specifications are not supported: ${location}`);
+  }
+  return location.startsWith('file:') ? fileURLToPath(location) : path.resolve(location);
+}
+
+/**
+ * Loads an OpenAPI specification, reusing the parsed document until its file changes
+ * @param {string} specUrlOrPayload - Inline JSON/YAML, file path or file URL
+ * @returns {Object} Parsed specification
+ */
+export function loadSpec(specUrlOrPayload) {
+  if (typeof specUrlOrPayload !== 'string' || specUrlOrPayload.trim() === '') {
+    throw new Error('specUrlOrPayload must be a non-empty string');
+  }
+
+  if (isInlineSpec(specUrlOrPayload)) {
+    if (!inlineSpecs.has(specUrlOrPayload)) {
+      inlineSpecs.set(specUrlOrPayload, parseSpec(specUrlOrPayload, '(inline)'));
+    }
+    return inlineSpecs.get(specUrlOrPayload);
+  }
+
+  const file = resolveSpecPath(specUrlOrPayload.trim());
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch (error) {
+    throw new Error(`OpenAPI specification not found: ${file}`);
+  }
+
+  const cached = fileSpecs.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.spec;
+  }
+
+  const spec = parseSpec(fs.readFileSync(file, 'utf8'), file);
+  fileSpecs.set(file, { mtimeMs: stats.mtimeMs, spec });
+  return spec;
+}
+
+/**
+ * Follows local `$ref` pointers (`#/components/...`) until a concrete object is reached
+ * @param {Object} spec - Specification the reference belongs to
+ * @param {*} value - Value that may be a reference
+ * @returns {*} Referenced value, or the value itself if it is not a reference
+ */
+export function resolveRef(spec, value) {
+  const seen = new Set();
+  let current = value;
+
+  while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local references are supported: ${ref}`);
+    }
+    if (seen.has(ref)) {
+      throw new Error(`Circular reference: ${ref}`);
+    }
+    seen.add(ref);
+
+    current = ref.substring(2).split('/').reduce((node, segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, spec);
+
+    if (current === undefined) {
+      throw new Error(`Unresolved reference: ${ref}`);
+    }
+  }
+
+  return current;
+}
@@ -3,14 +3,20 @@
  * @module request-handling/matcher
  */
 
-import { BodyMatcherType, MatchType } from '../expectations/types.js';
+import { BodyMatcherType, MatchType, HttpProtocol, isForwardExpectation, isResponseExpectation, isOpenAPIDefinition } from '../expectations/types.js';
 import { getCandidateExpectationIds } from '../expectations/indexers/indexer.js';
 import { matchJson } from '../expectations/matchers/jsonMatcher.js';
 import { matchJsonPath } from '../expectations/matchers/jsonPathMatcher.js';
 import { matchXPath } from '../expectations/matchers/xpathMatcher.js';
 import { matchRegex } from '../expectations/matchers/regexMatcher.js';
 import { matchString } from '../expectations/matchers/stringMatcher.js';
-import { matchMultiValue } from '../expectations/matchers/multiValueMatcher.js';
+import { matchMultiValue, matchValue } from '../expectations/matchers/multiValueMatcher.js';
+import { matchJsonSchema } from '../expectations/matchers/jsonSchemaMatcher.js';
+import { getPathTemplate, matchPathParameters } from '../expectations/matchers/pathParameterMatcher.js';
+import { matchCookies } from '../expectations/matchers/cookieMatcher.js';
+import { matchClientCertificate } from '../expectations/matchers/clientCertificateMatcher.js';
+import { isActive } from '../expectations/expectationLifecycle.js';
+import { matchesOpenAPIDefinition } from '../openapi/openapiMatcher.js';
 
 /**
  * @param {Object} request - The request to match
@@ -28,7 +34,7 @@ export const findMatchingExpectation = (request, expectations) => {
 
   Array.from(candidateIds).forEach(id => {
     const expectation = expectations.get(id);
-    if (!expectation) return;
+    if (!expectation || !isActive(expectation)) return;
     
     const matches = matchesExpectation(request, expectation);
 
@@ -38,9 +44,9 @@ export const findMatchingExpectation = (request, expectations) => {
         priority: expectation.priority || 0
       };
 
-      if (expectation.httpForward) {
+      if (isForwardExpectation(expectation)) {
         forwardCandidates.push(candidateInfo);
-      } else if (expectation.httpResponse) {
+      } else if (isResponseExpectation(expectation)) {
         regularCandidates.push(candidateInfo);
       }
     }
@@ -78,60 +84,23 @@ export const findMatchingExpectation = (request, expectations) => {
  * @returns {boolean} True if request matches expectation
  */
 export const matchesExpectation = (request, expectation) => {
-  const isForwardExpectation = !!expectation.httpForward;
-
-  if (isForwardExpectation) {
-    const { httpRequest } = expectation;
-    
-    if (httpRequest.method) {
-      const methodValue = typeof httpRequest.method === 'object' ? 
-        (httpRequest.method.string || httpRequest.method.value) : 
-        httpRequest.method;
-      const isNot = httpRequest.method.not === true;
-      
-      const methodMatches = matchRegex(request.method, methodValue) || 
-                          matchString(request.method, methodValue);
-                          
-      if (isNot ? methodMatches : !methodMatches) return false;
-    }
-
-    if (httpRequest.path) {
-      const pathValue = typeof httpRequest.path === 'object' ? 
-        (httpRequest.path.string || httpRequest.path.value) : 
-        httpRequest.path;
-      const isNot = httpRequest.path.not === true;
-      
-      const pathMatches = matchRegex(request.path, pathValue);
-      if (isNot ? pathMatches : !pathMatches) {
-        return false;
-      }
-    }
-
-    return true;
+  if (isOpenAPIDefinition(expectation.httpRequest)) {
+    return matchesOpenAPIDefinition(request, expectation.httpRequest);
   }
 
-  const isHttpExpectation = !!expectation.httpResponse;
-  if (!isHttpExpectation) return false;
+  if (!isResponseExpectation(expectation) && !isForwardExpectation(expectation)) return false;
 
   const { httpRequest } = expectation;
   const matchType = httpRequest.matchType || MatchType.ONLY_MATCHING_FIELDS;
 
   if (httpRequest.method) {
-    const methodValue = typeof httpRequest.method === 'object' ? 
-      (httpRequest.method.string || httpRequest.method.value) : 
-      httpRequest.method;
     const isNot = httpRequest.method.not === true;
-    
-    const methodMatches = matchRegex(request.method, methodValue) || 
-                         matchString(request.method, methodValue);
+    const methodMatches = matchValue(request.method, httpRequest.method);
                              
     if (isNot ? methodMatches : !methodMatches) return false;
   }
 
   if (httpRequest.path) {
-    const pathValue = typeof httpRequest.path === 'object' ? 
-      (httpRequest.path.string || httpRequest.path.value) : 
-      httpRequest.path;
     const isNot = httpRequest.path.not === true;
     
     let requestPath = request.path;
@@ -139,14 +108,17 @@ export const matchesExpectation = (request, expectation) => {
       requestPath = requestPath.split('?')[0];
     }
     
-    const pathMatches = matchRegex(requestPath, pathValue) || 
-                       matchString(requestPath, pathValue);
+    const pathMatches = matchPath(requestPath, httpRequest);
                            
     if (isNot ? pathMatches : !pathMatches) {
       return false;
     }
   }
 
+  if (!matchSecure(request, httpRequest) || !matchProtocol(request, httpRequest)) {
+    return false;
+  }
+
   const queryParams = httpRequest.queryStringParameters || httpRequest.query;
   if (queryParams) {
     const isNot = queryParams.not === true;
@@ -162,17 +134,29 @@ export const matchesExpectation = (request, expectation) => {
 
   if (httpRequest.headers) {
     const isNot = httpRequest.headers.not === true;
-    const matches = matchMultiValue(request.headers, httpRequest.headers, { matchType });
+    const matches = matchMultiValue(request.headers, httpRequest.headers, { matchType, ignoreKeyCase: true });
 
     if (isNot ? matches : !matches) {
       return false;
     }
   }
 
+  if (httpRequest.cookies && !matchCookies(request.headers.cookie, httpRequest.cookies)) {
+    return false;
+  }
+
+  if (httpRequest.clientCertificate && !matchClientCertificate(request.clientCertificate, httpRequest.clientCertificate)) {
+    return false;
+  }
+
   if (httpRequest.body) {
-    const matches = matchBody(request.body, httpRequest.body, matchType);
-    if (!matches) {
-      return false;
+    const { not: isNot = false, optional = false } = typeof httpRequest.body === 'object' ? httpRequest.body : {};
+
+    if (!(optional && isEmptyBody(request.body))) {
+      const matches = matchBody(request.body, httpRequest.body, matchType);
+      if (isNot ? matches : !matches) {
+        return false;
+      }
     }
   } else if (matchType === MatchType.STRICT && 
              request.body && 
@@ -185,6 +169,47 @@ export const matchesExpectation = (request, expectation) => {
 };
 
 
+/**
+ * Matches the request path against a literal, regex, schema or `{name}` template path
+ * @param {string} requestPath - Request path without query string
+ * @param {Object} httpRequest - Request definition
+ * @returns {boolean} True if matches
+ */
+const matchPath = (requestPath, httpRequest) => {
+  const template = getPathTemplate(httpRequest);
+
+  return template ?
+    matchPathParameters(template, requestPath, httpRequest.pathParameters) :
+    matchValue(requestPath, httpRequest.path);
+};
+
+/**
+ * Matches `secure: true/false` against whether the request arrived over TLS
+ * @param {Object} request - The request to check
+ * @param {Object} httpRequest - Request definition
+ * @returns {boolean} True if matches or the definition does not constrain it
+ */
+const matchSecure = (request, httpRequest) =>
+  httpRequest.secure === undefined || httpRequest.secure === !!request.secure;
+
+/**
+ * Matches `protocol: HTTP_1_1/HTTP_2` against the HTTP version the request arrived over
+ * @param {Object} request - The request to check
+ * @param {Object} httpRequest - Request definition
+ * @returns {boolean} True if matches or the definition does not constrain it
+ */
+const matchProtocol = (request, httpRequest) =>
+  !httpRequest.protocol || httpRequest.protocol === (request.protocol || HttpProtocol.HTTP_1_1);
+
+/**
+ * Checks whether a request carried no body. Body parsers leave `{}` when there is none.
+ * @param {*} body - Request body
+ * @returns {boolean} True if the body is empty
+ */
+export const isEmptyBody = body =>
+  body === undefined || body === null || body === '' ||
+  (typeof body === 'object' && !Buffer.isBuffer(body) && Object.keys(body).length === 0);
+
 /**
  * Matches body
  * @param {*} requestBody - Request body
@@ -192,7 +217,7 @@ export const matchesExpectation = (request, expectation) => {
  * @param {string} matchType - Match type (strict or onlyMatchingFields)
  * @returns {boolean} True if matches
  */
-const matchBody = (actual, expected, matchType) => {
+export const matchBody = (actual, expected, matchType) => {
   if (!actual || !expected) return false;
 
   const { type = BodyMatcherType.STRING, value, matchType: bodyMatchType = matchType } = expected;
@@ -201,11 +226,13 @@ const matchBody = (actual, expected, matchType) => {
     case BodyMatcherType.REGEX:
       return matchRegex(actual, value);
     case BodyMatcherType.JSON:
-      return matchJson(actual, value, { matchType: bodyMatchType });
+      return matchJson(actual, value, bodyMatchType === MatchType.STRICT);
     case BodyMatcherType.JSON_PATH:
       return matchJsonPath(actual, value);
     case BodyMatcherType.XPATH:
       return matchXPath(actual, value);
+    case BodyMatcherType.JSON_SCHEMA:
+      return matchJsonSchema(actual, value);
     case BodyMatcherType.STRING:
     default:
       return matchString(actual, value);
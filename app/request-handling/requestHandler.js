@@ -6,7 +6,22 @@
 import { findExpectationForRequest } from '../expectations/expectationStore.js';
 import logger, { logRequest, logResponse, logMatch, logError } from '../utils/logger.js';
 import { forwardRequest } from '../http-forwarding/forwarder.js';
-import { recordRequest, recordRequestResponse } from '../api/handlers/retrieveHandler.js';
+import { buildOverriddenRequest, buildComputedRequest, applyResponseOverride } from '../http-forwarding/forwardOverrides.js';
+import { buildRecordedExpectation } from '../http-forwarding/recordedExpectation.js';
+import { getProxyTarget, buildPassThroughRequest } from '../http-forwarding/proxy.js';
+import { getClientCertificate } from '../tls/tlsListener.js';
+import { toHttp1Headers, CONNECTION_SPECIFIC_HEADERS } from '../http2/http2Server.js';
+import { recordRequest, recordRequestResponse, recordExpectation, isExpectationRecordingEnabled } from '../api/handlers/retrieveHandler.js';
+import { toMilliseconds } from '../utils/time.js';
+import { renderTemplate, renderResponsePlaceholders, buildTemplateRequest } from '../templates/templateEngine.js';
+import { invokeClassCallback } from '../callbacks/classCallbacks.js';
+import { invokeObjectCallback, createFallbackResponse } from '../callbacks/objectCallbacks.js';
+import { TemplateType, ResponseAction, ForwardAction, HttpProtocol, isOpenAPIDefinition } from '../expectations/types.js';
+import { resolveOperation } from '../openapi/openapiMatcher.js';
+import { buildExampleResponse } from '../openapi/exampleGenerator.js';
+import { resolvePathParameters } from '../expectations/matchers/pathParameterMatcher.js';
+import { toCookieEntries, serializeSetCookie } from '../utils/cookies.js';
+import { toMultiValueObject } from '../utils/multiValue.js';
 import os from 'os';
 
 /**
@@ -33,17 +48,7 @@ function calculateDelay(delayConfig) {
   }
 
   if (delayConfig.timeUnit && delayConfig.value) {
-    const { timeUnit, value } = delayConfig;
-    switch (timeUnit.toUpperCase()) {
-      case 'MILLISECONDS':
-        return value;
-      case 'SECONDS':
-        return value * 1000;
-      case 'MINUTES':
-        return value * 60 * 1000;
-      default:
-        return value;
-    }
+    return toMilliseconds(delayConfig.value, delayConfig.timeUnit);
   }
 
   return 0;
@@ -57,7 +62,8 @@ function calculateDelay(delayConfig) {
  * @returns {void}
  */
 export function requestHandler(req, res, next) {
-  if (req.path.startsWith('/mockserver')) {
+  const proxyTarget = getProxyTarget(req);
+  if (!proxyTarget && req.path.startsWith('/mockserver')) {
     return next();
   }
 
@@ -65,12 +71,19 @@ export function requestHandler(req, res, next) {
     method: req.method,
     path: req.path,
     originalUrl: req.originalUrl,
-    headers: req.headers,
+    headers: toHttp1Headers(req.headers),
     query: req.query,
     body: req.body,
-    rawBody: req.rawBody
+    rawBody: req.rawBody,
+    secure: !!req.secure,
+    protocol: req.httpVersionMajor === 2 ? HttpProtocol.HTTP_2 : HttpProtocol.HTTP_1_1
   };
 
+  const clientCertificate = getClientCertificate(req.socket);
+  if (clientCertificate) {
+    request.clientCertificate = clientCertificate;
+  }
+
   
   recordRequest(request);
 
@@ -82,10 +95,14 @@ export function requestHandler(req, res, next) {
 
     if (!matchingExpectation) {
       logMatch(request, null, false);
+      if (proxyTarget) {
+        return relayForwardedRequest(request, res, buildPassThroughRequest(request), proxyTarget);
+      }
       return next();
     }
 
     logMatch(request, matchingExpectation, true);
+    request.pathParameters = resolvePathParameters(matchingExpectation.httpRequest, request.path);
     
     handleResponse(request, res, matchingExpectation).catch(error => {
       logError(error, {
@@ -98,6 +115,10 @@ export function requestHandler(req, res, next) {
           id: matchingExpectation.id
         }
       });
+
+      if (res.headersSent) {
+        return;
+      }
       
       const errorResponse = {
         error: 'Internal Server Error',
@@ -159,16 +180,45 @@ export function requestHandler(req, res, next) {
  */
 async function handleResponse(request, res, expectation) {
   try {
-    const { httpResponse, httpForward } = expectation;
+    const {
+      httpResponse,
+      httpResponseTemplate,
+      httpResponseClassCallback,
+      httpResponseObjectCallback,
+      httpError,
+      httpForward,
+      httpForwardTemplate,
+      httpForwardClassCallback,
+      httpForwardObjectCallback,
+      httpOverrideForwardedRequest
+    } = expectation;
 
     if (httpResponse) {
       await sendMockResponse(request, res, httpResponse);
+    } else if (httpResponseTemplate) {
+      await sendTemplatedResponse(request, res, httpResponseTemplate);
+    } else if (httpResponseClassCallback) {
+      await sendClassCallbackResponse(request, res, httpResponseClassCallback);
+    } else if (httpResponseObjectCallback) {
+      await sendObjectCallbackResponse(request, res, httpResponseObjectCallback);
+    } else if (httpError) {
+      await sendHttpError(request, res, httpError);
     } else if (httpForward) {
       await sendForwardedResponse(request, res, httpForward);
+    } else if (httpForwardTemplate) {
+      await sendTemplatedForwardedResponse(request, res, httpForwardTemplate);
+    } else if (httpForwardClassCallback) {
+      await sendClassCallbackForwardedResponse(request, res, httpForwardClassCallback);
+    } else if (httpForwardObjectCallback) {
+      await sendObjectCallbackForwardedResponse(request, res, httpForwardObjectCallback);
+    } else if (httpOverrideForwardedRequest) {
+      await sendOverriddenForwardedResponse(request, res, httpOverrideForwardedRequest);
+    } else if (isOpenAPIDefinition(expectation.httpRequest)) {
+      await sendOpenAPIExampleResponse(request, res, expectation.httpRequest);
     } else {
       const errorResponse = {
         error: 'Invalid expectation configuration',
-        message: 'Expectation must have either httpResponse or httpForward'
+        message: 'Expectation must have a response or forward action'
       };
       
       res.status(500).json(errorResponse);
@@ -207,6 +257,10 @@ async function handleResponse(request, res, expectation) {
  * @returns {Promise<void>}
  */
 async function sendMockResponse(request, res, httpResponse) {
+  if (httpResponse.templateType === TemplateType.MUSTACHE) {
+    httpResponse = renderResponsePlaceholders(httpResponse, request);
+  }
+
   const delayMs = calculateDelay(httpResponse.delay);
   if (delayMs > 0) {
     await delay(delayMs);
@@ -215,16 +269,30 @@ async function sendMockResponse(request, res, httpResponse) {
   const status = httpResponse.statusCode || httpResponse.status || 200;
   res.status(status);
 
+  const setCookies = [];
+
   if (httpResponse.headers) {
-    Object.entries(httpResponse.headers).forEach(([key, value]) => {
-      if (Array.isArray(value) && value.length > 0) {
-        res.set(key, value[0]);
+    Object.entries(toMultiValueObject(httpResponse.headers)).forEach(([key, value]) => {
+      if (request.protocol === HttpProtocol.HTTP_2 && CONNECTION_SPECIFIC_HEADERS.includes(key.toLowerCase())) {
+        return;
+      }
+      if (key.toLowerCase() === 'set-cookie') {
+        setCookies.push(...[].concat(value));
+      } else if (Array.isArray(value) && (value.length === 1 || key.toLowerCase() === 'content-type')) {
+        res.set(key, String(value[0]));
+      } else if (Array.isArray(value) && value.length > 0) {
+        res.set(key, value.map(String));
       } else {
         res.set(key, value);
       }
     });
   }
 
+  setCookies.push(...toCookieEntries(httpResponse.cookies).map(serializeSetCookie));
+  if (setCookies.length > 0) {
+    res.set('Set-Cookie', setCookies);
+  }
+
   
   const responseToRecord = {
     statusCode: status,
@@ -233,7 +301,7 @@ async function sendMockResponse(request, res, httpResponse) {
   };
 
   if (httpResponse.body) {
-    res.send(httpResponse.body);
+    res.send(toResponseBody(httpResponse.body));
   } else {
     res.end();
   }
@@ -244,6 +312,172 @@ async function sendMockResponse(request, res, httpResponse) {
   logResponse(res, request);
 }
 
+/**
+ * Converts MockServer's typed response bodies (`{ type: "BINARY", base64Bytes }`,
+ * `{ type: "STRING", string }`, `{ type: "JSON", json }`) to what Express sends; other
+ * bodies are sent as given
+ * @param {*} body - Response body
+ * @returns {*} Body to send
+ */
+function toResponseBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || Buffer.isBuffer(body)) {
+    return body;
+  }
+
+  switch (body.type) {
+    case 'BINARY':
+      return body.base64Bytes !== undefined ? Buffer.from(body.base64Bytes, 'base64') : body;
+    case 'STRING':
+      return body.string !== undefined ? body.string : body;
+    case 'JSON':
+      return body.json !== undefined ? body.json : body;
+    default:
+      return body;
+  }
+}
+
+/**
+ * Sends a response produced by rendering a response template
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpResponseTemplate - Template configuration
+ * @returns {Promise<void>}
+ */
+async function sendTemplatedResponse(request, res, httpResponseTemplate) {
+  const delayMs = calculateDelay(httpResponseTemplate.delay);
+  if (delayMs > 0) {
+    await delay(delayMs);
+  }
+
+  const httpResponse = renderTemplate(httpResponseTemplate, request);
+  await sendMockResponse(request, res, httpResponse);
+}
+
+/**
+ * Sends the response returned by a local callback module
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpResponseClassCallback - Callback configuration
+ * @returns {Promise<void>}
+ */
+async function sendClassCallbackResponse(request, res, httpResponseClassCallback) {
+  const httpResponse = await invokeClassCallback(
+    httpResponseClassCallback.callbackClass,
+    buildTemplateRequest(request)
+  );
+  await sendMockResponse(request, res, httpResponse);
+}
+
+/**
+ * Asks a WebSocket callback client for the value of an object callback, producing a
+ * fallback response when the client is disconnected or does not reply in time
+ * @param {Object} request - Request object
+ * @param {string} clientId - Client ID
+ * @param {string} action - Callback action
+ * @returns {Promise<{value: Object|null, fallback: Object|null}>} Client value or fallback response
+ */
+async function requestObjectCallback(request, clientId, action) {
+  try {
+    const value = await invokeObjectCallback(clientId, buildTemplateRequest(request), action);
+    return { value, fallback: null };
+  } catch (error) {
+    logger.warn('Object callback failed', {
+      event: 'CALLBACK_FAILED',
+      clientId,
+      method: request.method,
+      path: request.path,
+      reason: error.message
+    });
+
+    const fallback = error.code === 'ERR_CALLBACK_TIMEOUT' ?
+      createFallbackResponse(clientId, error.message, 504) :
+      createFallbackResponse(clientId, error.message);
+    return { value: null, fallback };
+  }
+}
+
+/**
+ * Sends the response computed by a WebSocket callback client
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpResponseObjectCallback - Callback configuration
+ * @returns {Promise<void>}
+ */
+async function sendObjectCallbackResponse(request, res, httpResponseObjectCallback) {
+  const { value, fallback } = await requestObjectCallback(
+    request,
+    httpResponseObjectCallback.clientId,
+    ResponseAction.HTTP_RESPONSE_OBJECT_CALLBACK
+  );
+  await sendMockResponse(request, res, value || fallback);
+}
+
+/**
+ * Sends the example response of the OpenAPI operation a request matched
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} openAPIDefinition - `{ specUrlOrPayload, operationId }`
+ * @returns {Promise<void>}
+ */
+async function sendOpenAPIExampleResponse(request, res, openAPIDefinition) {
+  const resolved = resolveOperation(request, openAPIDefinition);
+  if (!resolved) {
+    throw new Error('Request no longer matches the OpenAPI operation');
+  }
+
+  await sendMockResponse(request, res, buildExampleResponse(resolved.spec, resolved.operation));
+}
+
+/**
+ * Simulates a network failure by dropping the connection or writing raw bytes and closing it
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpError - Error configuration
+ * @returns {Promise<void>}
+ */
+async function sendHttpError(request, res, httpError) {
+  const delayMs = calculateDelay(httpError.delay);
+  if (delayMs > 0) {
+    await delay(delayMs);
+  }
+
+  const socket = res.socket || res.connection;
+
+  recordRequestResponse(request, {
+    httpError: {
+      dropConnection: !!httpError.dropConnection,
+      responseBytes: httpError.responseBytes
+    }
+  });
+
+  logger.debug('Simulating HTTP error', {
+    event: 'HTTP_ERROR_SIMULATED',
+    method: request.method,
+    path: request.path,
+    dropConnection: !!httpError.dropConnection,
+    responseBytes: !!httpError.responseBytes
+  });
+
+  if (res.stream) {
+    // An HTTP/2 connection carries other streams and raw bytes would break its framing,
+    // so both kinds of error end the whole session
+    if (!res.stream.session.destroyed) {
+      res.stream.session.destroy();
+    }
+    return;
+  }
+
+  if (!socket || socket.destroyed) {
+    return;
+  }
+
+  if (httpError.responseBytes) {
+    socket.end(Buffer.from(httpError.responseBytes, 'base64'));
+  } else {
+    socket.destroy();
+  }
+}
+
 /**
  * Sends a forwarded response
  * @param {Object} request - Request object
@@ -283,12 +517,124 @@ async function sendForwardedResponse(request, res, httpForward) {
     }
   }
 
+  await relayForwardedRequest(request, res, request, httpForward);
+}
+
+/**
+ * Forwards the request computed by rendering a forward template
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpForwardTemplate - Template configuration
+ * @returns {Promise<void>}
+ */
+async function sendTemplatedForwardedResponse(request, res, httpForwardTemplate) {
+  const delayMs = calculateDelay(httpForwardTemplate.delay);
+  if (delayMs > 0) {
+    await delay(delayMs);
+  }
+
+  const { forwardedRequest, forwardConfig } = buildComputedRequest(request, renderTemplate(httpForwardTemplate, request));
+  await relayForwardedRequest(request, res, forwardedRequest, forwardConfig);
+}
+
+/**
+ * Forwards the request returned by a local callback module
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpForwardClassCallback - Callback configuration
+ * @returns {Promise<void>}
+ */
+async function sendClassCallbackForwardedResponse(request, res, httpForwardClassCallback) {
+  const computedRequest = await invokeClassCallback(
+    httpForwardClassCallback.callbackClass,
+    buildTemplateRequest(request)
+  );
+  const { forwardedRequest, forwardConfig } = buildComputedRequest(request, computedRequest, 'httpForwardClassCallback');
+  await relayForwardedRequest(request, res, forwardedRequest, forwardConfig);
+}
+
+/**
+ * Forwards the request computed by a WebSocket callback client
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpForwardObjectCallback - Callback configuration
+ * @returns {Promise<void>}
+ */
+async function sendObjectCallbackForwardedResponse(request, res, httpForwardObjectCallback) {
+  const { value, fallback } = await requestObjectCallback(
+    request,
+    httpForwardObjectCallback.clientId,
+    ForwardAction.HTTP_FORWARD_OBJECT_CALLBACK
+  );
+  if (fallback) {
+    return sendMockResponse(request, res, fallback);
+  }
+
+  const { forwardedRequest, forwardConfig } = buildComputedRequest(request, value, 'httpForwardObjectCallback');
+  await relayForwardedRequest(request, res, forwardedRequest, forwardConfig);
+}
+
+/**
+ * Forwards a request with requestOverride/requestModifier applied, and applies
+ * responseOverride/responseModifier to the upstream response
+ * @param {Object} request - Request object
+ * @param {import('express').Response} res - Express response
+ * @param {Object} httpOverrideForwardedRequest - Override configuration
+ * @returns {Promise<void>}
+ */
+async function sendOverriddenForwardedResponse(request, res, httpOverrideForwardedRequest) {
+  const delayMs = calculateDelay(httpOverrideForwardedRequest.delay);
+  if (delayMs > 0) {
+    await delay(delayMs);
+  }
+
+  const { responseOverride, responseModifier } = httpOverrideForwardedRequest;
+  const { forwardedRequest, forwardConfig } = buildOverriddenRequest(request, httpOverrideForwardedRequest);
+
+  await relayForwardedRequest(request, res, forwardedRequest, forwardConfig,
+    response => applyResponseOverride(response, responseOverride, responseModifier));
+}
+
+/**
+ * Records a forwarded exchange as an expectation that replays it, when recording is on.
+ * Recording never affects the relayed response, so failures are only logged.
+ * @param {Object} request - Request as received
+ * @param {Object} forwardedResponse - Response relayed to the client
+ */
+function recordForwardedExpectation(request, forwardedResponse) {
+  if (!isExpectationRecordingEnabled()) {
+    return;
+  }
+
   try {
-    const forwardedResponse = await forwardRequest(request, httpForward);
+    recordExpectation(request, buildRecordedExpectation(request, forwardedResponse));
+  } catch (error) {
+    logger.warn('Failed to record forwarded request as an expectation', {
+      event: 'RECORDING_FAILED',
+      path: request.path,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Sends a request upstream and relays the response to the client
+ * @param {Object} request - Request object as received
+ * @param {import('express').Response} res - Express response
+ * @param {Object} forwardedRequest - Request to send upstream
+ * @param {Object} forwardConfig - Upstream host, port and scheme
+ * @param {Function} [transformResponse] - Applied to the upstream response before it is sent
+ * @returns {Promise<void>}
+ */
+async function relayForwardedRequest(request, res, forwardedRequest, forwardConfig, transformResponse = response => response) {
+  const recordedForward = forwardedRequest === request ? undefined : forwardedRequest;
+
+  try {
+    const forwardedResponse = transformResponse(await forwardRequest(forwardedRequest, forwardConfig));
 
     if (forwardedResponse.headers) {
       Object.entries(forwardedResponse.headers).forEach(([key, value]) => {
-        if (!['connection', 'transfer-encoding'].includes(key.toLowerCase())) {
+        if (!CONNECTION_SPECIFIC_HEADERS.includes(key.toLowerCase())) {
           res.set(key, value);
         }
       });
@@ -314,7 +660,8 @@ async function sendForwardedResponse(request, res, httpForward) {
       res.end();
     }
     
-    recordRequestResponse(request, responseToRecord);
+    recordRequestResponse(request, responseToRecord, recordedForward);
+    recordForwardedExpectation(request, forwardedResponse);
     logResponse(res, request);
   } catch (error) {
 
@@ -328,7 +675,7 @@ async function sendForwardedResponse(request, res, httpForward) {
     recordRequestResponse(request, {
       statusCode: 502,
       body: errorResponse
-    });
+    }, recordedForward);
     
     logResponse(res, request);
   }
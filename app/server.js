@@ -4,9 +4,16 @@
  */
 
 import express from 'express';
+import http from 'http';
 import { initializeStore, setPersistencePath, disablePersistence, addExpectation, clearExpectations } from './expectations/expectationStore.js';
 import { requestHandler } from './request-handling/requestHandler.js';
 import apiRoutes from './api/routes.js';
+import { attachCallbackWebSocketServer } from './callbacks/objectCallbacks.js';
+import { setExpectationRecording } from './api/handlers/retrieveHandler.js';
+import { attachProxyTunnel } from './http-forwarding/proxy.js';
+import { initializeCertificateAuthority } from './tls/certificateAuthority.js';
+import { createDualProtocolListener, configureClientAuthentication } from './tls/tlsListener.js';
+import { createHttp2Server } from './http2/http2Server.js';
 import logger, { logServerStarted, logRequest, logResponse, logError } from './utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -22,134 +29,144 @@ const CONFIG = {
     INITIALIZATION_JSON_PATH: process.env.MOCKSERVER_INITIALIZATION_JSON_PATH || '',
     WATCH_INITIALIZATION_JSON: process.env.MOCKSERVER_WATCH_INITIALIZATION_JSON === 'true',
     PERSIST_EXPECTATIONS: process.env.MOCKSERVER_PERSIST_EXPECTATIONS !== 'false',
-    PERSISTED_EXPECTATIONS_PATH: process.env.MOCKSERVER_PERSISTED_EXPECTATIONS_PATH || './data/expectations.json'
+    PERSISTED_EXPECTATIONS_PATH: process.env.MOCKSERVER_PERSISTED_EXPECTATIONS_PATH || './data/expectations.json',
+    RECORD_FORWARDED_EXPECTATIONS: process.env.MOCKSERVER_RECORD_FORWARDED_EXPECTATIONS === 'true',
+    CERTIFICATE_AUTHORITY_CERTIFICATE: process.env.MOCKSERVER_CERTIFICATE_AUTHORITY_CERTIFICATE || './data/ca/mocksrv-ca.pem',
+    CERTIFICATE_AUTHORITY_PRIVATE_KEY: process.env.MOCKSERVER_CERTIFICATE_AUTHORITY_PRIVATE_KEY || './data/ca/mocksrv-ca-key.pem',
+    TLS_MUTUAL_AUTHENTICATION_REQUIRED: process.env.MOCKSERVER_TLS_MUTUAL_AUTHENTICATION_REQUIRED === 'true',
+    TLS_MUTUAL_AUTHENTICATION_CERTIFICATE_CHAIN: process.env.MOCKSERVER_TLS_MUTUAL_AUTHENTICATION_CERTIFICATE_CHAIN || ''
 };
 
 /**
- * Express application instance for the MockServer
- * @type {import('express').Express}
+ * Creates the Express application of the MockServer. HTTP/1.1 and HTTP/2 each get their
+ * own instance, as Express binds an application to one request and response type.
+ * @returns {import('express').Express} Express application
  */
-const app = express();
+function createApp() {
+    const app = express();
 
-if (CONFIG.MAX_HEADER_SIZE) {
-    app.use(express.json({ limit: `${CONFIG.MAX_HEADER_SIZE}kb`, verify: (req, res, buf, encoding) => {
-        if (buf && buf.length) {
-            req.rawBody = buf.toString(encoding || 'utf8');
-        }
-    } }));
-    app.use(express.text({ type: 'text/plain', limit: `${CONFIG.MAX_HEADER_SIZE}kb` }));
-} else {
-    app.use(express.json({ verify: (req, res, buf, encoding) => {
-        if (buf && buf.length) {
-            req.rawBody = buf.toString(encoding || 'utf8');
-        }
-    } }));
-    app.use(express.text({ type: 'text/plain' }));
-}
+    if (CONFIG.MAX_HEADER_SIZE) {
+        app.use(express.json({ limit: `${CONFIG.MAX_HEADER_SIZE}kb`, verify: (req, res, buf, encoding) => {
+            if (buf && buf.length) {
+                req.rawBody = buf.toString(encoding || 'utf8');
+            }
+        } }));
+        app.use(express.text({ type: 'text/plain', limit: `${CONFIG.MAX_HEADER_SIZE}kb` }));
+    } else {
+        app.use(express.json({ verify: (req, res, buf, encoding) => {
+            if (buf && buf.length) {
+                req.rawBody = buf.toString(encoding || 'utf8');
+            }
+        } }));
+        app.use(express.text({ type: 'text/plain' }));
+    }
 
-app.use(express.urlencoded({ 
-    extended: true,
-    verify: (req, res, buf, encoding) => {
-        if (buf && buf.length) {
-            req.rawBody = buf.toString(encoding || 'utf8');
+    app.use(express.urlencoded({ 
+        extended: true,
+        verify: (req, res, buf, encoding) => {
+            if (buf && buf.length) {
+                req.rawBody = buf.toString(encoding || 'utf8');
+            }
         }
-    }
-}));
-
-app.use((req, res, next) => {
-    logger.debug('Incoming request', {
-        event: 'REQUEST_DEBUG',
-        method: req.method,
-        url: req.url,
-        originalUrl: req.originalUrl,
-        path: req.path,
-        hostname: req.hostname,
-        ip: req.ip,
-        headers: req.headers
+    }));
+
+    app.use((req, res, next) => {
+        logger.debug('Incoming request', {
+            event: 'REQUEST_DEBUG',
+            method: req.method,
+            url: req.url,
+            originalUrl: req.originalUrl,
+            path: req.path,
+            hostname: req.hostname,
+            ip: req.ip,
+            headers: req.headers
+        });
+        next();
     });
-    next();
-});
 
-app.use((req, res, next) => {
-    const request = {
-        method: req.method,
-        path: req.path,
-        query: req.query,
-        headers: req.headers,
-        body: req.body
-    };
-    
-    logRequest(request);
-    
-    let responseLogged = false;
-    
-    const originalSend = res.send;
-    const originalEnd = res.end;
-    const originalJson = res.json;
-    
-    const logResponseOnce = () => {
-        if (!responseLogged) {
-            logResponse(res, request);
-            responseLogged = true;
-        }
-    };
-    
-    res.end = function(chunk) {
-        logResponseOnce();
-        return originalEnd.apply(res, arguments);
-    };
-    
-    res.send = function(body) {
-        return originalSend.apply(res, arguments);
-    };
-    
-    res.json = function(body) {
-        return originalJson.apply(res, arguments);
-    };
-    
-    next();
-});
+    app.use((req, res, next) => {
+        const request = {
+            method: req.method,
+            path: req.path,
+            query: req.query,
+            headers: req.headers,
+            body: req.body
+        };
 
-app.use((req, res, next) => {
-    const _send = res.send;
-    res.send = function (body) {
-        if (res.statusCode === 404) {
-            logger.debug('404 Not Found', {
-                event: 'NOT_FOUND',
-                method: req.method,
-                url: req.url,
-                path: req.path,
-                headers: req.headers,
-                body: req.body
-            });
-        }
-        res.send = _send;
-        return res.send(body);
-    };
-    next();
-});
+        logRequest(request);
 
-app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'ok' });
-});
+        let responseLogged = false;
+
+        const originalSend = res.send;
+        const originalEnd = res.end;
+        const originalJson = res.json;
 
-app.use(requestHandler);
+        const logResponseOnce = () => {
+            if (!responseLogged) {
+                logResponse(res, request);
+                responseLogged = true;
+            }
+        };
 
-app.use(apiRoutes);
+        res.end = function(chunk) {
+            logResponseOnce();
+            return originalEnd.apply(res, arguments);
+        };
 
-app.use((req, res) => {
-    logger.debug('Unhandled request', {
-        event: 'UNHANDLED_REQUEST',
-        method: req.method,
-        url: req.url,
-        path: req.path,
-        headers: req.headers
+        res.send = function(body) {
+            return originalSend.apply(res, arguments);
+        };
+
+        res.json = function(body) {
+            return originalJson.apply(res, arguments);
+        };
+
+        next();
+    });
+
+    app.use((req, res, next) => {
+        const _send = res.send;
+        res.send = function (body) {
+            if (res.statusCode === 404) {
+                logger.debug('404 Not Found', {
+                    event: 'NOT_FOUND',
+                    method: req.method,
+                    url: req.url,
+                    path: req.path,
+                    headers: req.headers,
+                    body: req.body
+                });
+            }
+            res.send = _send;
+            return res.send(body);
+        };
+        next();
     });
-    res.status(404).json({
-        error: 'Not Found',
-        message: `No handler found for ${req.method} ${req.path}`
+
+    app.get('/health', (req, res) => {
+        res.status(200).json({ status: 'ok' });
     });
-});
+
+    app.use(requestHandler);
+
+    app.use(apiRoutes);
+
+    app.use((req, res) => {
+        logger.debug('Unhandled request', {
+            event: 'UNHANDLED_REQUEST',
+            method: req.method,
+            url: req.url,
+            path: req.path,
+            headers: req.headers
+        });
+        res.status(404).json({
+            error: 'Not Found',
+            message: `No handler found for ${req.method} ${req.path}`
+        });
+    });
+
+    return app;
+}
 
 /**
  * @returns {Promise<void>}
@@ -306,18 +323,39 @@ async function startServer() {
         
         configurePersistence();
         await initializeStore();
+        setExpectationRecording(CONFIG.RECORD_FORWARDED_EXPECTATIONS);
         
         logger.info(`Starting MockServer on port ${CONFIG.PORT}`);
         logger.info(`Version: ${CONFIG.VERSION}`);
 
-        const server = app.listen(CONFIG.PORT, () => {
-            logger.info(`MockServer is running at http://${CONFIG.HOST}:${CONFIG.PORT}`);
+        const certificateAuthorityPem = initializeCertificateAuthority({
+            certificatePath: CONFIG.CERTIFICATE_AUTHORITY_CERTIFICATE,
+            privateKeyPath: CONFIG.CERTIFICATE_AUTHORITY_PRIVATE_KEY
+        });
+        configureClientAuthentication({
+            required: CONFIG.TLS_MUTUAL_AUTHENTICATION_REQUIRED,
+            trustedCertificates: CONFIG.TLS_MUTUAL_AUTHENTICATION_CERTIFICATE_CHAIN ?
+                fs.readFileSync(CONFIG.TLS_MUTUAL_AUTHENTICATION_CERTIFICATE_CHAIN, 'utf8') :
+                certificateAuthorityPem
+        });
+
+        const httpServer = http.createServer(createApp());
+        const http2Server = createHttp2Server(createApp());
+        attachCallbackWebSocketServer(httpServer);
+        attachProxyTunnel(httpServer, http2Server);
+
+        const server = createDualProtocolListener(httpServer, http2Server).listen(CONFIG.PORT, () => {
+            logger.info(`MockServer is running at http://${CONFIG.HOST}:${CONFIG.PORT} and https://${CONFIG.HOST}:${CONFIG.PORT}`);
         });
 
         const shutdown = async () => {
             logger.info('Shutting down gracefully...');
             try {
-                await new Promise((resolve) => server.close(resolve));
+                await new Promise((resolve) => {
+                    server.close(resolve);
+                    httpServer.close(() => {});
+                    http2Server.close(() => {});
+                });
                 logger.info('Server closed successfully');
                 process.exit(0);
             } catch (err) {
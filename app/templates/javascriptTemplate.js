@@ -0,0 +1,53 @@
+/**
+ * Sandboxed evaluation of JavaScript templates
+ * @module templates/javascriptTemplate
+ */
+
+import vm from 'vm';
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.MOCKSERVER_TEMPLATE_TIMEOUT || '1000', 10);
+
+/**
+ * Evaluates a JavaScript template in an isolated `vm` context.
+ * The template is the body of a function receiving `request` and returning an object,
+ * e.g. `return { statusCode: 200, body: request.body };`
+ * @param {string} template - Template source
+ * @param {Object} templateRequest - Request model exposed to the template as `request`
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.timeout] - Maximum evaluation time in milliseconds
+ * @returns {Object} Object returned by the template
+ */
+export function evaluateJavaScriptTemplate(template, templateRequest, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  // A host-realm context object would let templates reach the host Function through its prototype
+  const context = vm.createContext(
+    Object.assign(Object.create(null), { requestJson: JSON.stringify(templateRequest) }),
+    { codeGeneration: { strings: false, wasm: false } }
+  );
+
+  const code = `JSON.stringify((function (request) {\n${template}\n})(JSON.parse(requestJson)));`;
+
+  let output;
+  try {
+    output = vm.runInContext(code, context, {
+      timeout,
+      microtaskMode: 'afterEvaluate',
+      filename: 'template.js'
+    });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`JavaScript template timed out after ${timeout}ms`);
+    }
+    throw new Error(`JavaScript template failed: ${error.message}`);
+  }
+
+  if (output === undefined) {
+    throw new Error('JavaScript template did not return an object');
+  }
+
+  const result = JSON.parse(output);
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new Error('JavaScript template did not return an object');
+  }
+
+  return result;
+}
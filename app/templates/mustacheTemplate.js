@@ -0,0 +1,148 @@
+/**
+ * Mustache-style placeholders for echoing request data in responses
+ * @module templates/mustacheTemplate
+ */
+
+import { randomUUID, randomInt } from 'crypto';
+import jsonpath from 'jsonpath';
+
+const PLACEHOLDER_PATTERN = /\{\{\{?\s*(.+?)\s*\}?\}\}/g;
+const TOKEN_PATTERN = /'([^']*)'|"([^"]*)"|(\S+)/g;
+
+/**
+ * Helpers callable as `{{helper arg1 arg2}}`
+ * @type {Object<string, Function>}
+ */
+const helpers = {
+  uuid: () => randomUUID(),
+  now: (context, format = 'iso') => {
+    const now = new Date();
+    switch (String(format).toLowerCase()) {
+      case 'epoch':
+        return Math.floor(now.getTime() / 1000);
+      case 'epochmillis':
+        return now.getTime();
+      case 'rfc1123':
+        return now.toUTCString();
+      default:
+        return now.toISOString();
+    }
+  },
+  randomInt: (context, min = 0, max = 100) => randomInt(Number(min), Number(max) + 1),
+  jsonPath: (context, expression) => {
+    const body = context.request.body;
+    if (body === undefined || body === null || typeof body !== 'object') {
+      return undefined;
+    }
+    try {
+      return jsonpath.query(body, expression)[0];
+    } catch (error) {
+      return undefined;
+    }
+  },
+  urlDecode: (context, value) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    try {
+      return decodeURIComponent(String(value).replace(/\+/g, ' '));
+    } catch (error) {
+      return value;
+    }
+  }
+};
+
+/**
+ * Looks up a dotted path such as `request.headers.x-trace-id`.
+ * Property names fall back to a case-insensitive lookup, so header names can be written in any case.
+ * @param {Object} context - Template context
+ * @param {string} path - Dotted path
+ * @returns {*} Value found at the path or undefined
+ */
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    if (key in value) {
+      return value[key];
+    }
+    const matchingKey = Object.keys(value).find(candidate => candidate.toLowerCase() === key.toLowerCase());
+    return matchingKey !== undefined ? value[matchingKey] : undefined;
+  }, context);
+}
+
+/**
+ * Resolves a single argument: quoted strings and numbers are literals, anything else is a path
+ * @param {Object} context - Template context
+ * @param {Array<string>} token - Regex match of the argument
+ * @returns {*} Argument value
+ */
+function resolveToken(context, [, singleQuoted, doubleQuoted, bare]) {
+  if (singleQuoted !== undefined) return singleQuoted;
+  if (doubleQuoted !== undefined) return doubleQuoted;
+  if (/^-?\d+(\.\d+)?$/.test(bare)) return Number(bare);
+  return lookup(context, bare);
+}
+
+/**
+ * Converts a resolved value to the text inserted into the template
+ * @param {*} value - Resolved value
+ * @returns {string} Text representation
+ */
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value) && value.length === 1) return stringify(value[0]);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Evaluates the expression inside a placeholder
+ * @param {Object} context - Template context
+ * @param {string} expression - Placeholder expression, e.g. `request.body.id` or `randomInt 1 6`
+ * @returns {*} Expression value
+ */
+function evaluate(context, expression) {
+  const tokens = Array.from(expression.matchAll(TOKEN_PATTERN));
+  const [name] = tokens;
+
+  if (name && name[3] && Object.prototype.hasOwnProperty.call(helpers, name[3])) {
+    const args = tokens.slice(1).map(token => resolveToken(context, token));
+    return helpers[name[3]](context, ...args);
+  }
+
+  return lookup(context, expression);
+}
+
+/**
+ * Replaces `{{...}}` placeholders in a text
+ * @param {string} text - Template text
+ * @param {Object} templateRequest - Request model exposed as `request`
+ * @returns {string} Rendered text
+ */
+export function renderMustache(text, templateRequest) {
+  const context = { request: templateRequest };
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, expression) => stringify(evaluate(context, expression)));
+}
+
+/**
+ * Renders every string in a value, descending into arrays and objects
+ * @param {*} value - Value to render
+ * @param {Object} templateRequest - Request model exposed as `request`
+ * @returns {*} Rendered copy of the value
+ */
+export function renderMustacheValue(value, templateRequest) {
+  if (typeof value === 'string') {
+    return renderMustache(value, templateRequest);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderMustacheValue(item, templateRequest));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderMustacheValue(item, templateRequest)])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,86 @@
+/**
+ * Renders response and forward templates against incoming requests
+ * @module templates/templateEngine
+ */
+
+import { TemplateType } from '../expectations/types.js';
+import { evaluateJavaScriptTemplate } from './javascriptTemplate.js';
+import { renderMustache, renderMustacheValue } from './mustacheTemplate.js';
+
+/**
+ * Parses a request body into a value templates can navigate
+ * @param {*} body - Request body as received
+ * @returns {*} Parsed JSON if the body is a JSON string, otherwise the body unchanged
+ */
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+/**
+ * Builds the request model exposed to templates
+ * @param {Object} request - Incoming request
+ * @returns {Object} Template request model
+ */
+export function buildTemplateRequest(request) {
+  return {
+    method: request.method,
+    path: request.path,
+    pathParameters: request.pathParameters || {},
+    queryStringParameters: request.query || {},
+    headers: request.headers || {},
+    body: parseBody(request.body)
+  };
+}
+
+/**
+ * Renders an HttpTemplate against a request
+ * @param {Object} httpTemplate - Template configuration (templateType, template)
+ * @param {Object} request - Incoming request
+ * @returns {Object} Object produced by the template
+ */
+export function renderTemplate(httpTemplate, request) {
+  const templateType = (httpTemplate.templateType || TemplateType.JAVASCRIPT).toUpperCase();
+
+  switch (templateType) {
+    case TemplateType.JAVASCRIPT:
+      return evaluateJavaScriptTemplate(httpTemplate.template || '', buildTemplateRequest(request));
+    case TemplateType.MUSTACHE: {
+      const rendered = renderMustache(httpTemplate.template || '', buildTemplateRequest(request));
+      try {
+        return JSON.parse(rendered);
+      } catch (error) {
+        throw new Error(`Mustache template did not render valid JSON: ${error.message}`);
+      }
+    }
+    default:
+      throw new Error(`Unsupported template type: ${templateType}`);
+  }
+}
+
+/**
+ * Renders `{{...}}` placeholders in the body and header values of an HttpResponse
+ * declaring `templateType: "MUSTACHE"`
+ * @param {Object} httpResponse - Response configuration
+ * @param {Object} request - Incoming request
+ * @returns {Object} Response configuration with placeholders replaced
+ */
+export function renderResponsePlaceholders(httpResponse, request) {
+  const { templateType, ...response } = httpResponse;
+  const templateRequest = buildTemplateRequest(request);
+
+  if (response.body !== undefined) {
+    response.body = renderMustacheValue(response.body, templateRequest);
+  }
+  if (response.headers !== undefined) {
+    response.headers = renderMustacheValue(response.headers, templateRequest);
+  }
+
+  return response;
+}
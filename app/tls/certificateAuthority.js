@@ -0,0 +1,216 @@
+/**
+ * Local certificate authority that issues the certificates served over HTTPS
+ * @module tls/certificateAuthority
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import forge from 'node-forge';
+import logger from '../utils/logger.js';
+
+const CA_COMMON_NAME = 'MockSrv Certificate Authority';
+const CA_VALIDITY_DAYS = 3650;
+const LEAF_CERTIFICATE_VALIDITY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Certificate authority in use, created on first use unless initialized explicitly
+ * @type {{certificate: Object, privateKey: Object, certificatePem: string}|null}
+ */
+let authority = null;
+
+/**
+ * Key pair shared by all issued certificates, as generating one per hostname is slow
+ * @type {{privateKeyPem: string, publicKey: Object}|null}
+ */
+let leafKeyPair = null;
+
+/**
+ * Issued server certificates by hostname
+ * @type {Map<string, {key: string, cert: string}>}
+ */
+const serverCertificates = new Map();
+
+/**
+ * Generates an RSA key pair
+ * @returns {{privateKeyPem: string, publicKey: Object}} PEM private key and forge public key
+ */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { privateKeyPem: privateKey, publicKey: forge.pki.publicKeyFromPem(publicKey) };
+}
+
+/**
+ * Generates a random positive serial number
+ * @returns {string} Serial number as hex
+ */
+function generateSerialNumber() {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] &= 0x7f;
+  return bytes.toString('hex');
+}
+
+/**
+ * Creates a certificate valid from a day ago, to tolerate clock skew
+ * @param {Object} publicKey - forge public key
+ * @param {number} validityDays - Days the certificate stays valid
+ * @returns {Object} forge certificate
+ */
+function createCertificate(publicKey, validityDays) {
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = publicKey;
+  certificate.serialNumber = generateSerialNumber();
+  certificate.validity.notBefore = new Date(Date.now() - DAY_MS);
+  certificate.validity.notAfter = new Date(Date.now() + validityDays * DAY_MS);
+  return certificate;
+}
+
+/**
+ * Generates a self-signed CA certificate
+ * @returns {{certificate: Object, privateKey: Object, certificatePem: string, privateKeyPem: string}} Certificate authority
+ */
+function generateAuthority() {
+  const { privateKeyPem, publicKey } = generateKeyPair();
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const certificate = createCertificate(publicKey, CA_VALIDITY_DAYS);
+  const subject = [
+    { name: 'commonName', value: CA_COMMON_NAME },
+    { name: 'organizationName', value: 'MockSrv' }
+  ];
+
+  certificate.setSubject(subject);
+  certificate.setIssuer(subject);
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { name: 'subjectKeyIdentifier' }
+  ]);
+  certificate.sign(privateKey, forge.md.sha256.create());
+
+  return { certificate, privateKey, certificatePem: forge.pki.certificateToPem(certificate), privateKeyPem };
+}
+
+/**
+ * Uses the CA stored at the given paths, generating and storing one if there is none, so
+ * that trust stores keep working across restarts. Without paths the CA lives in memory.
+ * @param {Object} [options] - Options object
+ * @param {string} [options.certificatePath] - PEM file of the CA certificate
+ * @param {string} [options.privateKeyPath] - PEM file of the CA private key
+ * @returns {string} CA certificate in PEM format
+ */
+export function initializeCertificateAuthority({ certificatePath, privateKeyPath } = {}) {
+  serverCertificates.clear();
+
+  if (certificatePath && privateKeyPath && fs.existsSync(certificatePath) && fs.existsSync(privateKeyPath)) {
+    const certificatePem = fs.readFileSync(certificatePath, 'utf8');
+    authority = {
+      certificate: forge.pki.certificateFromPem(certificatePem),
+      privateKey: forge.pki.privateKeyFromPem(fs.readFileSync(privateKeyPath, 'utf8')),
+      certificatePem
+    };
+    logger.info('Certificate authority loaded', { event: 'CERTIFICATE_AUTHORITY_LOADED', path: certificatePath });
+    return authority.certificatePem;
+  }
+
+  const generated = generateAuthority();
+  authority = generated;
+
+  if (certificatePath && privateKeyPath) {
+    fs.mkdirSync(path.dirname(certificatePath), { recursive: true });
+    fs.mkdirSync(path.dirname(privateKeyPath), { recursive: true });
+    fs.writeFileSync(certificatePath, generated.certificatePem);
+    fs.writeFileSync(privateKeyPath, generated.privateKeyPem, { mode: 0o600 });
+  }
+  logger.info('Certificate authority generated', { event: 'CERTIFICATE_AUTHORITY_GENERATED', path: certificatePath });
+
+  return authority.certificatePem;
+}
+
+/**
+ * Returns the certificate authority, generating an in-memory one on first use
+ * @returns {{certificate: Object, privateKey: Object, certificatePem: string}} Certificate authority
+ */
+function getAuthority() {
+  if (!authority) {
+    initializeCertificateAuthority();
+  }
+  return authority;
+}
+
+/**
+ * Returns the CA certificate clients add to their trust stores
+ * @returns {string} CA certificate in PEM format
+ */
+export function getCertificateAuthorityPem() {
+  return getAuthority().certificatePem;
+}
+
+/**
+ * Lists the subject alternative names of a server certificate
+ * @param {string} hostname - Hostname or IP address
+ * @returns {Array<Object>} forge altNames
+ */
+function getAltNames(hostname) {
+  const names = hostname === 'localhost' ? ['localhost', '127.0.0.1', '::1'] : [hostname];
+  return names.map(name => net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name });
+}
+
+/**
+ * Issues a certificate signed by the certificate authority
+ * @param {string} commonName - Subject common name
+ * @param {Object} extendedKeyUsage - forge extKeyUsage flags
+ * @param {Array<Object>} [altNames] - forge subject alternative names
+ * @returns {{key: string, cert: string}} Private key and certificate chain in PEM format
+ */
+function issueCertificate(commonName, extendedKeyUsage, altNames) {
+  const { certificate: caCertificate, privateKey: caPrivateKey, certificatePem: caPem } = getAuthority();
+  if (!leafKeyPair) {
+    leafKeyPair = generateKeyPair();
+  }
+
+  const certificate = createCertificate(leafKeyPair.publicKey, LEAF_CERTIFICATE_VALIDITY_DAYS);
+  certificate.setSubject([{ name: 'commonName', value: commonName }]);
+  certificate.setIssuer(caCertificate.subject.attributes);
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+    { name: 'extKeyUsage', ...extendedKeyUsage },
+    ...(altNames ? [{ name: 'subjectAltName', altNames }] : []),
+    { name: 'authorityKeyIdentifier', keyIdentifier: caCertificate.generateSubjectKeyIdentifier().getBytes() }
+  ]);
+  certificate.sign(caPrivateKey, forge.md.sha256.create());
+
+  return { key: leafKeyPair.privateKeyPem, cert: forge.pki.certificateToPem(certificate) + caPem };
+}
+
+/**
+ * Returns a server certificate for a hostname signed by the certificate authority,
+ * issuing it on first use
+ * @param {string} hostname - Hostname or IP address
+ * @returns {{key: string, cert: string}} Private key and certificate chain in PEM format
+ */
+export function getServerCertificate(hostname) {
+  const name = (hostname || 'localhost').toLowerCase();
+  let issued = serverCertificates.get(name);
+  if (!issued) {
+    issued = issueCertificate(name, { serverAuth: true }, getAltNames(name));
+    serverCertificates.set(name, issued);
+  }
+  return issued;
+}
+
+/**
+ * Issues a client certificate signed by the certificate authority, which the HTTPS
+ * listener trusts when mutual TLS is required
+ * @param {string} commonName - Subject common name
+ * @returns {{key: string, cert: string}} Private key and certificate chain in PEM format
+ */
+export function createClientCertificate(commonName) {
+  return issueCertificate(commonName, { clientAuth: true });
+}
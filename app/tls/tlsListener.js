@@ -0,0 +1,195 @@
+/**
+ * Terminates TLS for the HTTP server, both on its own port and inside proxy tunnels, and
+ * routes connections to the HTTP/1.1 or HTTP/2 server
+ * @module tls/tlsListener
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { getServerCertificate } from './certificateAuthority.js';
+import logger from '../utils/logger.js';
+
+const TLS_HANDSHAKE_RECORD = 0x16;
+const HTTP2_PREFACE = Buffer.from('PRI * HTTP/2.0\r\n');
+
+/**
+ * Secure contexts by the certificate they serve
+ * @type {WeakMap<Object, import('tls').SecureContext>}
+ */
+let secureContexts = new WeakMap();
+
+/**
+ * How client certificates are requested and verified
+ * @type {{required: boolean, trustedCertificates: (string|undefined)}}
+ */
+let clientAuthentication = { required: false, trustedCertificates: undefined };
+
+/**
+ * Configures mutual TLS. Client certificates are always requested; when they are required,
+ * connections without a certificate signed by one of the trusted CAs are refused.
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.required=false] - Whether clients must present a trusted certificate
+ * @param {string} [options.trustedCertificates] - PEM bundle of the CAs client certificates are verified against
+ */
+export function configureClientAuthentication({ required = false, trustedCertificates } = {}) {
+  clientAuthentication = { required, trustedCertificates };
+  secureContexts = new WeakMap();
+}
+
+/**
+ * Describes the certificate the client presented on a TLS connection
+ * @param {import('net').Socket} socket - Connection
+ * @returns {{subject: string, issuer: string, fingerprint: string, serialNumber: string, authorized: boolean}|null} Certificate details, or null without one
+ */
+export function getClientCertificate(socket) {
+  if (!socket || typeof socket.getPeerX509Certificate !== 'function') {
+    return null;
+  }
+
+  const certificate = socket.getPeerX509Certificate();
+  if (!certificate) {
+    return null;
+  }
+
+  return {
+    subject: certificate.subject.split('\n').join(', '),
+    issuer: certificate.issuer.split('\n').join(', '),
+    fingerprint: certificate.fingerprint256,
+    serialNumber: certificate.serialNumber,
+    authorized: socket.authorized === true
+  };
+}
+
+/**
+ * Checks whether the first bytes of a connection open a TLS handshake
+ * @param {Buffer} chunk - First chunk received
+ * @returns {boolean} True if the connection speaks TLS
+ */
+export function isTlsHandshake(chunk) {
+  return chunk.length > 0 && chunk[0] === TLS_HANDSHAKE_RECORD;
+}
+
+/**
+ * Checks whether the first bytes of a connection open an HTTP/2 connection without TLS
+ * (h2c with prior knowledge)
+ * @param {Buffer} chunk - First chunk received
+ * @returns {boolean} True if the connection speaks HTTP/2
+ */
+export function isHttp2Preface(chunk) {
+  const length = Math.min(chunk.length, HTTP2_PREFACE.length);
+  return length > 0 && chunk.subarray(0, length).equals(HTTP2_PREFACE.subarray(0, length));
+}
+
+/**
+ * Returns the secure context serving a hostname's certificate
+ * @param {string} hostname - Hostname requested through SNI
+ * @returns {import('tls').SecureContext} Secure context
+ */
+function getSecureContext(hostname) {
+  const certificate = getServerCertificate(hostname);
+  let context = secureContexts.get(certificate);
+  if (!context) {
+    context = tls.createSecureContext({ ...certificate, ca: clientAuthentication.trustedCertificates });
+    secureContexts.set(certificate, context);
+  }
+  return context;
+}
+
+/**
+ * Waits for the first chunk of a connection and puts it back, leaving the socket paused
+ * @param {import('net').Socket} socket - Connection
+ * @param {Function} callback - Receives the first chunk
+ */
+export function peekFirstChunk(socket, callback) {
+  socket.once('data', chunk => {
+    socket.pause();
+    socket.unshift(chunk);
+    callback(chunk);
+  });
+}
+
+/**
+ * Hands a paused connection to a server. Resuming is deferred so the server's
+ * listeners are in place before the peeked bytes flow again.
+ * @param {import('http').Server} server - HTTP server
+ * @param {import('stream').Duplex} socket - Connection
+ */
+export function handOverConnection(server, socket) {
+  server.emit('connection', socket);
+  process.nextTick(() => socket.resume());
+}
+
+/**
+ * Terminates TLS on a connection and hands the decrypted stream to the HTTP server, or to
+ * the HTTP/2 server when the client negotiates h2 through ALPN. The certificate is issued
+ * for the hostname the client asks for through SNI, or for `defaultHostname` when it sends
+ * none. Clients are asked for a certificate of their own.
+ * @param {import('http').Server} server - HTTP server
+ * @param {import('net').Socket} socket - Paused connection whose first bytes are a TLS handshake
+ * @param {Object} [options] - Options object
+ * @param {string} [options.defaultHostname='localhost'] - Hostname of the certificate served without SNI
+ * @param {Object} [options.proxyTarget] - Upstream server when the connection arrived through a proxy tunnel
+ * @param {import('http2').Http2Server} [options.http2Server] - HTTP/2 server; without one only HTTP/1.1 is offered
+ * @returns {import('tls').TLSSocket} Decrypted connection
+ */
+export function acceptTlsConnection(server, socket, { defaultHostname = 'localhost', proxyTarget, http2Server } = {}) {
+  const tlsSocket = new tls.TLSSocket(socket, {
+    isServer: true,
+    ALPNProtocols: http2Server ? ['h2', 'http/1.1'] : ['http/1.1'],
+    requestCert: true,
+    rejectUnauthorized: clientAuthentication.required,
+    secureContext: getSecureContext(defaultHostname),
+    SNICallback: (servername, callback) => {
+      try {
+        callback(null, getSecureContext(servername));
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+
+  if (proxyTarget) {
+    tlsSocket.proxyTarget = proxyTarget;
+  }
+
+  tlsSocket.on('error', error => {
+    logger.debug('TLS connection failed', { event: 'TLS_CONNECTION_FAILED', error: error.message });
+    tlsSocket.destroy();
+  });
+
+  tlsSocket.once('secure', () => {
+    // A TLS server clears this once its sockets are secure; HTTP/2 would wait for it forever
+    tlsSocket.secureConnecting = false;
+    handOverConnection(tlsSocket.alpnProtocol === 'h2' ? http2Server : server, tlsSocket);
+  });
+  process.nextTick(() => socket.resume());
+  return tlsSocket;
+}
+
+/**
+ * Creates a listener that serves HTTP and HTTPS on the same port, telling them apart by
+ * the first bytes each connection sends. HTTP/2 is served both over TLS and as h2c.
+ * @param {import('http').Server} server - HTTP server handling the requests; close it
+ * together with the listener
+ * @param {import('http2').Http2Server} [http2Server] - HTTP/2 server handling HTTP/2 connections
+ * @returns {import('net').Server} Listener to call `listen` on
+ */
+export function createDualProtocolListener(server, http2Server) {
+  const listener = net.createServer(socket => {
+    socket.on('error', () => socket.destroy());
+    peekFirstChunk(socket, chunk => {
+      if (isTlsHandshake(chunk)) {
+        acceptTlsConnection(server, socket, { http2Server });
+      } else if (http2Server && isHttp2Preface(chunk)) {
+        handOverConnection(http2Server, socket);
+      } else {
+        handOverConnection(server, socket);
+      }
+    });
+  });
+
+  // The HTTP server never listens itself; this starts its connection tracking, which
+  // enforces request timeouts and lets `server.close()` drop idle keep-alive connections
+  listener.on('listening', () => server.emit('listening'));
+  return listener;
+}
@@ -0,0 +1,100 @@
+/**
+ * Cookie header parsing and serialization
+ * @module utils/cookies
+ */
+
+/**
+ * Parses a `Cookie` request header
+ * @param {string} [header] - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export function parseCookieHeader(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  String(header).split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+
+    const name = pair.substring(0, separator).trim();
+    if (!name || name in cookies) return;
+
+    let value = pair.substring(separator + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Serializes cookies into a `Cookie` request header
+ * @param {Object<string, string>} cookies - Cookie values by name
+ * @returns {string} Cookie header value
+ */
+export function serializeCookieHeader(cookies) {
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('; ');
+}
+
+/**
+ * Reads the cookie name from a `Set-Cookie` header value
+ * @param {string} setCookie - Set-Cookie header value
+ * @returns {string} Cookie name
+ */
+export function getSetCookieName(setCookie) {
+  return String(setCookie).split(';')[0].split('=')[0].trim();
+}
+
+/**
+ * Normalizes a `KeyToValue` cookie list, given as `{ name: value }` or `[{ name, value }]`,
+ * into entries. Object values such as `{ value, not }` or `{ value, path, maxAge }` are
+ * spread into their entry.
+ * @param {Object|Array<Object>} cookies - Cookies in either `KeyToValue` form
+ * @returns {Array<Object>} Entries with at least `name` and `value`
+ */
+export function toCookieEntries(cookies) {
+  if (!cookies) return [];
+  if (Array.isArray(cookies)) return cookies.filter(cookie => cookie && cookie.name);
+
+  return Object.entries(cookies)
+    .filter(([name]) => name !== 'keyMatchStyle')
+    .map(([name, value]) => (value !== null && typeof value === 'object' ?
+      { ...value, name } :
+      { name, value }));
+}
+
+/**
+ * Serializes a response cookie into a `Set-Cookie` header value
+ * @param {Object} cookie - Cookie entry
+ * @param {string} cookie.name - Cookie name
+ * @param {string} cookie.value - Cookie value
+ * @param {string} [cookie.path] - Path attribute
+ * @param {string} [cookie.domain] - Domain attribute
+ * @param {number} [cookie.maxAge] - Max-Age attribute, in seconds
+ * @param {string} [cookie.expires] - Expires attribute, as a date string
+ * @param {boolean} [cookie.secure] - Secure attribute
+ * @param {boolean} [cookie.httpOnly] - HttpOnly attribute
+ * @param {string} [cookie.sameSite] - SameSite attribute (Strict, Lax or None)
+ * @returns {string} Set-Cookie header value
+ */
+export function serializeSetCookie(cookie) {
+  const parts = [`${cookie.name}=${encodeURIComponent(cookie.value ?? '')}`];
+
+  if (cookie.path) parts.push(`Path=${cookie.path}`);
+  if (cookie.domain) parts.push(`Domain=${cookie.domain}`);
+  if (cookie.maxAge !== undefined) parts.push(`Max-Age=${cookie.maxAge}`);
+  if (cookie.expires) parts.push(`Expires=${new Date(cookie.expires).toUTCString()}`);
+  if (cookie.secure) parts.push('Secure');
+  if (cookie.httpOnly) parts.push('HttpOnly');
+  if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+
+  return parts.join('; ');
+}
@@ -0,0 +1,38 @@
+/**
+ * Helpers for `KeyToMultiValue` fields (headers, query string and path parameters)
+ * @module utils/multiValue
+ */
+
+/**
+ * Converts MockServer's array form `[{ name, values }]` to the object form
+ * `{ name: values }`. Object-form input is returned unchanged; repeated names in the
+ * array form have their values merged.
+ * @param {Object|Array<Object>} keyToMultiValue - Field in either form
+ * @returns {Object|undefined} Field in object form
+ */
+export function toMultiValueObject(keyToMultiValue) {
+  if (!Array.isArray(keyToMultiValue)) return keyToMultiValue;
+
+  const result = {};
+  keyToMultiValue.forEach(({ name, values, value }) => {
+    if (name === undefined) return;
+    const entryValues = values !== undefined ? [].concat(values) : [value];
+    result[name] = result[name] ? [].concat(result[name], entryValues) : entryValues;
+  });
+  return result;
+}
+
+/**
+ * Reads the value stored under a name
+ * @param {Object} object - Object to read from
+ * @param {string} name - Name to look up
+ * @param {boolean} [ignoreCase=false] - Whether names are case-insensitive (headers)
+ * @returns {*} Stored value or undefined
+ */
+export function getMultiValue(object, name, ignoreCase = false) {
+  if (!object) return undefined;
+  if (Object.prototype.hasOwnProperty.call(object, name) || !ignoreCase) return object[name];
+
+  const key = Object.keys(object).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : object[key];
+}
@@ -0,0 +1,25 @@
+/**
+ * Time unit conversion helpers
+ * @module utils/time
+ */
+
+const MILLISECONDS_PER_UNIT = {
+  NANOSECONDS: 1 / 1000000,
+  MICROSECONDS: 1 / 1000,
+  MILLISECONDS: 1,
+  SECONDS: 1000,
+  MINUTES: 60 * 1000,
+  HOURS: 60 * 60 * 1000,
+  DAYS: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Converts a value expressed in a MockServer time unit to milliseconds
+ * @param {number} value - Amount of time
+ * @param {string} [timeUnit='MILLISECONDS'] - Time unit, e.g. SECONDS or DAYS
+ * @returns {number} Amount of time in milliseconds
+ */
+export function toMilliseconds(value, timeUnit = 'MILLISECONDS') {
+  const factor = MILLISECONDS_PER_UNIT[String(timeUnit).toUpperCase()];
+  return factor === undefined ? value : value * factor;
+}
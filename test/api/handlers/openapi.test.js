@@ -0,0 +1,95 @@
+/**
+ * Tests for creating expectations from an OpenAPI specification
+ * @module test/api/handlers/openapi
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { clearExpectations, getAllExpectations } from '../../../app/expectations/expectationStore.js';
+import { openAPIExpectationHandler } from '../../../app/api/handlers/openapiHandler.js';
+import { clearExpectationsHandler } from '../../../app/api/handlers/expectations/clearExpectationsHandler.js';
+
+const PETSTORE_PATH = fileURLToPath(new URL('../../openapi/fixtures/petstore.yaml', import.meta.url));
+
+function createMockRequest(body = {}) {
+  return { params: {}, body, query: {} };
+}
+
+function createMockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      return this;
+    }
+  };
+}
+
+test('openAPIExpectationHandler creates one expectation per operation', async () => {
+  await clearExpectations();
+  const res = createMockResponse();
+
+  await openAPIExpectationHandler(createMockRequest({ specUrlOrPayload: PETSTORE_PATH }), res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(res.body.map(expectation => expectation.httpRequest.operationId), ['listPets', 'createPet', 'showPetById']);
+  assert.deepStrictEqual(res.body[0].httpResponse.body, [{ name: 'string', tag: 'string', id: 42 }]);
+  assert.strictEqual(getAllExpectations().length, 3);
+
+  await openAPIExpectationHandler(createMockRequest({ specUrlOrPayload: PETSTORE_PATH }), createMockResponse());
+  assert.strictEqual(getAllExpectations().length, 3);
+});
+
+test('openAPIExpectationHandler answers selected operations with the requested status code', async () => {
+  await clearExpectations();
+  const res = createMockResponse();
+
+  await openAPIExpectationHandler(createMockRequest({
+    specUrlOrPayload: PETSTORE_PATH,
+    operationsAndResponses: { showPetById: '404' }
+  }), res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.length, 1);
+  assert.strictEqual(res.body[0].httpResponse.statusCode, 404);
+  assert.deepStrictEqual(res.body[0].httpResponse.body, { message: 'Pet not found' });
+});
+
+test('openAPIExpectationHandler rejects unknown operations and missing specs', async () => {
+  await clearExpectations();
+
+  const unknown = createMockResponse();
+  await openAPIExpectationHandler(createMockRequest({
+    specUrlOrPayload: PETSTORE_PATH,
+    operationsAndResponses: { deletePet: '200' }
+  }), unknown);
+  assert.strictEqual(unknown.statusCode, 400);
+  assert.match(unknown.body.message, /Operation deletePet not found/);
+
+  const missing = createMockResponse();
+  await openAPIExpectationHandler(createMockRequest({}), missing);
+  assert.strictEqual(missing.statusCode, 400);
+  assert.strictEqual(getAllExpectations().length, 0);
+});
+
+test('clearExpectationsHandler removes the expectations of a specification', async () => {
+  await clearExpectations();
+  await openAPIExpectationHandler(createMockRequest({ specUrlOrPayload: PETSTORE_PATH }), createMockResponse());
+
+  const res = createMockResponse();
+  await clearExpectationsHandler(createMockRequest({ specUrlOrPayload: PETSTORE_PATH, operationId: 'listPets' }), res);
+  assert.deepStrictEqual(getAllExpectations().map(expectation => expectation.httpRequest.operationId).sort(), ['createPet', 'showPetById']);
+
+  await clearExpectationsHandler(createMockRequest({ specUrlOrPayload: PETSTORE_PATH }), createMockResponse());
+  assert.strictEqual(getAllExpectations().length, 0);
+});
@@ -0,0 +1,280 @@
+/**
+ * Tests for request verification handler
+ * @module test/api/handlers/verify.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { addExpectation, clearExpectations } from '../../../app/expectations/expectationStore.js';
+import { recordRequest, clearRequestHistory } from '../../../app/api/handlers/retrieveHandler.js';
+import { verifyHandler, verifySequenceHandler } from '../../../app/api/handlers/verifyHandler.js';
+
+
+function createMockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    contentType: null,
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    type(value) {
+      this.contentType = value;
+      return this;
+    },
+
+    json(data) {
+      this.body = data;
+      return this;
+    },
+
+    send(data) {
+      this.body = data;
+      return this;
+    },
+
+    end() {
+      return this;
+    }
+  };
+}
+
+function seedHistory() {
+  clearRequestHistory();
+  recordRequest({ method: 'POST', path: '/auth/token', query: {}, headers: {}, body: {} });
+  recordRequest({ method: 'GET', path: '/orders', query: {}, headers: { 'x-tenant': 'acme' } });
+  recordRequest({ method: 'GET', path: '/orders', query: {}, headers: { 'x-tenant': 'acme' } });
+}
+
+test('verifyHandler returns 202 when request was received at least once', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifyHandler({ body: { httpRequest: { method: 'GET', path: '/orders' } } }, res);
+
+  assert.strictEqual(res.statusCode, 202);
+});
+
+test('verifyHandler honours atLeast and atMost bounds', () => {
+  seedHistory();
+
+  const exact = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders' }, times: { atLeast: 2, atMost: 2 } } }, exact);
+  assert.strictEqual(exact.statusCode, 202);
+
+  const tooMany = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders' }, times: { atMost: 1 } } }, tooMany);
+  assert.strictEqual(tooMany.statusCode, 406);
+  assert.match(tooMany.body, /Request not found at most 1 time, found 2/);
+
+  const never = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/missing' }, times: { atMost: 0 } } }, never);
+  assert.strictEqual(never.statusCode, 202);
+});
+
+test('verifyHandler returns 406 with the closest received requests', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifyHandler({ body: { httpRequest: { method: 'DELETE', path: '/orders' } } }, res);
+
+  assert.strictEqual(res.statusCode, 406);
+  assert.strictEqual(res.contentType, 'text/plain');
+  assert.match(res.body, /Request not found at least 1 time, found 0/);
+  assert.match(res.body, /1\. GET \/orders \(mismatched: method\)/);
+});
+
+test('verifyHandler verifies by expectationId', async () => {
+  seedHistory();
+  await clearExpectations();
+  const id = await addExpectation({
+    httpRequest: { method: 'POST', path: '/auth/token' },
+    httpResponse: { statusCode: 200 }
+  });
+
+  const res = createMockResponse();
+  verifyHandler({ body: { expectationId: { id }, times: { atLeast: 1, atMost: 1 } } }, res);
+  assert.strictEqual(res.statusCode, 202);
+
+  const unknown = createMockResponse();
+  verifyHandler({ body: { expectationId: { id: 'unknown' } } }, unknown);
+  assert.strictEqual(unknown.statusCode, 400);
+
+  await clearExpectations();
+});
+
+test('verifyHandler matches the query string of received requests', () => {
+  clearRequestHistory();
+  recordRequest({ method: 'GET', path: '/orders', query: { status: 'open' }, headers: {} });
+
+  const matching = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders', queryStringParameters: { status: ['open'] } } } }, matching);
+  assert.strictEqual(matching.statusCode, 202);
+
+  const wrongQuery = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders', queryStringParameters: { status: ['closed'] } } } }, wrongQuery);
+  assert.strictEqual(wrongQuery.statusCode, 406);
+});
+
+test('verifyHandler does not match a body matcher against requests without a body', () => {
+  clearRequestHistory();
+  recordRequest({ method: 'POST', path: '/orders', query: {}, headers: {} });
+
+  const required = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders', body: { type: 'json', value: { id: 1 } } } } }, required);
+  assert.strictEqual(required.statusCode, 406);
+
+  const optional = createMockResponse();
+  verifyHandler({ body: { httpRequest: { path: '/orders', body: { type: 'json', value: { id: 1 }, optional: true } } } }, optional);
+  assert.strictEqual(optional.statusCode, 202);
+});
+
+test('verifyHandler matches bodies with the matchers expectations use', () => {
+  clearRequestHistory();
+  recordRequest({ method: 'POST', path: '/orders', query: {}, headers: {}, body: { id: 1, status: 'open' } });
+  recordRequest({ method: 'POST', path: '/notes', query: {}, headers: {}, body: 'order 42 shipped' });
+
+  const verify = body => {
+    const res = createMockResponse();
+    verifyHandler({ body: { httpRequest: { method: 'POST', body } } }, res);
+    return res.statusCode;
+  };
+
+  assert.strictEqual(verify({ type: 'json', value: { id: 1 } }), 202);
+  assert.strictEqual(verify({ type: 'json', value: { id: 2 } }), 406);
+  assert.strictEqual(verify({ type: 'json', value: { id: 1 }, matchType: 'strict' }), 406);
+  assert.strictEqual(verify({ type: 'jsonPath', value: '$.status' }), 202);
+  assert.strictEqual(verify({ type: 'string', value: 'order 42 shipped' }), 202);
+  assert.strictEqual(verify({ type: 'regex', value: 'order [0-9]+ shipped' }), 202);
+  assert.strictEqual(verify({ type: 'regex', value: 'order [0-9]+ lost' }), 406);
+  assert.strictEqual(verify({ type: 'string', value: 'order 42 shipped', not: true }), 202);
+});
+
+test('verifyHandler rejects invalid times', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifyHandler({ body: { httpRequest: { path: '/orders' }, times: { atLeast: 3, atMost: 1 } } }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'incorrect request format');
+});
+
+test('verifySequenceHandler returns 202 when requests were received in order', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'POST', path: '/auth/token' },
+        { method: 'GET', path: '/orders' },
+        { method: 'GET', path: '/orders' }
+      ]
+    }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 202);
+});
+
+test('verifySequenceHandler reports out of order elements', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'GET', path: '/orders' },
+        { method: 'POST', path: '/auth/token' }
+      ]
+    }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 406);
+  assert.match(res.body, /element 2 of 2 was received, but not after element 1/);
+});
+
+test('verifySequenceHandler reports missing elements', () => {
+  seedHistory();
+  const res = createMockResponse();
+
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'POST', path: '/auth/token' },
+        { method: 'DELETE', path: '/orders' }
+      ]
+    }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 406);
+  assert.match(res.body, /element 2 of 2 was never received/);
+});
+
+test('verifySequenceHandler tells apart requests that differ only in query or body', () => {
+  clearRequestHistory();
+  recordRequest({ method: 'GET', path: '/orders', query: { page: '1' }, headers: {} });
+  recordRequest({ method: 'POST', path: '/orders', query: {}, headers: {}, body: { id: 1 } });
+  recordRequest({ method: 'GET', path: '/orders', query: { page: '2' }, headers: {} });
+
+  const inOrder = createMockResponse();
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'GET', path: '/orders', queryStringParameters: { page: ['1'] } },
+        { method: 'POST', path: '/orders', body: { type: 'json', value: { id: 1 } } },
+        { method: 'GET', path: '/orders', queryStringParameters: { page: ['2'] } }
+      ]
+    }
+  }, inOrder);
+  assert.strictEqual(inOrder.statusCode, 202);
+
+  const wrongQueryOrder = createMockResponse();
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'GET', path: '/orders', queryStringParameters: { page: ['2'] } },
+        { method: 'GET', path: '/orders', queryStringParameters: { page: ['1'] } }
+      ]
+    }
+  }, wrongQueryOrder);
+  assert.strictEqual(wrongQueryOrder.statusCode, 406);
+
+  const wrongBody = createMockResponse();
+  verifySequenceHandler({
+    body: {
+      httpRequests: [
+        { method: 'GET', path: '/orders', queryStringParameters: { page: ['1'] } },
+        { method: 'POST', path: '/orders', body: { type: 'json', value: { id: 2 } } }
+      ]
+    }
+  }, wrongBody);
+  assert.strictEqual(wrongBody.statusCode, 406);
+  assert.match(wrongBody.body, /element 2 of 2 was never received/);
+});
+
+test('verifySequenceHandler accepts expectation IDs', async () => {
+  seedHistory();
+  await clearExpectations();
+  const authId = await addExpectation({
+    httpRequest: { method: 'POST', path: '/auth/token' },
+    httpResponse: { statusCode: 200 }
+  });
+  const ordersId = await addExpectation({
+    httpRequest: { method: 'GET', path: '/orders' },
+    httpResponse: { statusCode: 200 }
+  });
+
+  const res = createMockResponse();
+  verifySequenceHandler({ body: { expectationIds: [{ id: authId }, { id: ordersId }] } }, res);
+  assert.strictEqual(res.statusCode, 202);
+
+  const unknown = createMockResponse();
+  verifySequenceHandler({ body: { expectationIds: [{ id: authId }, { id: 'unknown' }] } }, unknown);
+  assert.strictEqual(unknown.statusCode, 400);
+
+  await clearExpectations();
+});
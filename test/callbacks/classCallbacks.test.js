@@ -0,0 +1,78 @@
+/**
+ * Tests for class callback modules
+ * @module test/callbacks/classCallbacks.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  setCallbackDirectory,
+  resolveCallbackPath,
+  invokeClassCallback
+} from '../../app/callbacks/classCallbacks.js';
+
+function createCallbackDirectory() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mocksrv-callbacks-'));
+  setCallbackDirectory(dir);
+  return dir;
+}
+
+test('invokeClassCallback calls the exported handle function', async () => {
+  const dir = createCallbackDirectory();
+  fs.writeFileSync(path.join(dir, 'EchoCallback.js'),
+    'export async function handle(request) { return { statusCode: 200, body: { path: request.path } }; }\n');
+
+  try {
+    const response = await invokeClassCallback('EchoCallback', { path: '/api/echo' });
+    assert.deepStrictEqual(response, { statusCode: 200, body: { path: '/api/echo' } });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('resolveCallbackPath maps dotted names to subdirectories', () => {
+  const dir = createCallbackDirectory();
+  fs.mkdirSync(path.join(dir, 'com', 'example'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'com', 'example', 'TenantRouter.mjs'), 'export const handle = () => ({});\n');
+
+  try {
+    assert.strictEqual(
+      resolveCallbackPath('com.example.TenantRouter'),
+      path.join(dir, 'com', 'example', 'TenantRouter.mjs')
+    );
+    assert.throws(() => resolveCallbackPath('../outside'), /Invalid callbackClass/);
+    assert.throws(() => resolveCallbackPath('Missing'), /not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('invokeClassCallback reloads a module after its file changes', async () => {
+  const dir = createCallbackDirectory();
+  const file = path.join(dir, 'Versioned.js');
+
+  try {
+    fs.writeFileSync(file, 'export const handle = () => ({ body: "v1" });\n');
+    fs.utimesSync(file, new Date(Date.now() - 10000), new Date(Date.now() - 10000));
+    assert.deepStrictEqual(await invokeClassCallback('Versioned', {}), { body: 'v1' });
+
+    fs.writeFileSync(file, 'export const handle = () => ({ body: "v2" });\n');
+    assert.deepStrictEqual(await invokeClassCallback('Versioned', {}), { body: 'v2' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('invokeClassCallback rejects modules without handle', async () => {
+  const dir = createCallbackDirectory();
+  fs.writeFileSync(path.join(dir, 'NoHandle.js'), 'export const other = () => ({});\n');
+
+  try {
+    await assert.rejects(() => invokeClassCallback('NoHandle', {}), /does not export a handle\(request\) function/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
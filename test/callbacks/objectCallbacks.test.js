@@ -0,0 +1,157 @@
+/**
+ * Tests for WebSocket object callbacks
+ * @module test/callbacks/objectCallbacks.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { once } from 'node:events';
+import { WebSocket, WebSocketServer } from 'ws';
+import {
+  CALLBACK_WEBSOCKET_PATH,
+  attachCallbackWebSocketServer,
+  invokeObjectCallback,
+  isClientConnected
+} from '../../app/callbacks/objectCallbacks.js';
+
+async function startServer() {
+  const server = http.createServer();
+  const webSocketServer = attachCallbackWebSocketServer(server);
+  server.listen(0);
+  await once(server, 'listening');
+  return { server, webSocketServer, port: server.address().port };
+}
+
+async function connectClient(port, clientId, onRequest) {
+  const client = new WebSocket(`ws://localhost:${port}${CALLBACK_WEBSOCKET_PATH}`, {
+    headers: { 'X-CLIENT-REGISTRATION-ID': clientId }
+  });
+  const messages = [];
+
+  client.on('message', data => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    if (message.type === 'request' && onRequest) {
+      onRequest(message, client);
+    }
+  });
+
+  await once(client, 'open');
+  while (!messages.some(message => message.type === 'registration')) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return { client, messages };
+}
+
+async function stopServer({ server, webSocketServer }, client) {
+  if (client && client.readyState === WebSocket.OPEN) {
+    client.close();
+    await once(client, 'close');
+  }
+  webSocketServer.close();
+  server.close();
+}
+
+test('invokeObjectCallback returns the value computed by the registered client', async () => {
+  const context = await startServer();
+  const { client, messages } = await connectClient(context.port, 'test-client', (message, socket) => {
+    socket.send(JSON.stringify({
+      type: 'response',
+      correlationId: message.correlationId,
+      value: { statusCode: 200, body: { echoed: message.request.path } }
+    }));
+  });
+
+  try {
+    assert.deepStrictEqual(messages[0], { type: 'registration', clientId: 'test-client' });
+    assert.strictEqual(isClientConnected('test-client'), true);
+
+    const response = await invokeObjectCallback('test-client', { path: '/api/echo' }, 'httpResponseObjectCallback');
+
+    assert.deepStrictEqual(response, { statusCode: 200, body: { echoed: '/api/echo' } });
+    assert.strictEqual(messages[1].action, 'httpResponseObjectCallback');
+  } finally {
+    await stopServer(context, client);
+  }
+});
+
+test('invokeObjectCallback rejects when the client is not connected', async () => {
+  await assert.rejects(
+    () => invokeObjectCallback('missing-client', { path: '/' }, 'httpResponseObjectCallback'),
+    /Callback client missing-client is not connected/
+  );
+});
+
+test('invokeObjectCallback rejects when the client does not reply in time', async () => {
+  const context = await startServer();
+  const { client } = await connectClient(context.port, 'silent-client');
+
+  try {
+    await assert.rejects(
+      () => invokeObjectCallback('silent-client', { path: '/' }, 'httpResponseObjectCallback', { timeout: 50 }),
+      error => error.code === 'ERR_CALLBACK_TIMEOUT'
+    );
+  } finally {
+    await stopServer(context, client);
+  }
+});
+
+test('invokeObjectCallback rejects pending callbacks when the client disconnects', async () => {
+  const context = await startServer();
+  const { client } = await connectClient(context.port, 'leaving-client', (message, socket) => socket.close());
+
+  try {
+    await assert.rejects(
+      () => invokeObjectCallback('leaving-client', { path: '/' }, 'httpResponseObjectCallback', { timeout: 1000 }),
+      /Callback client leaving-client disconnected/
+    );
+    assert.strictEqual(isClientConnected('leaving-client'), false);
+  } finally {
+    await stopServer(context, client);
+  }
+});
+
+test('upgrades to other paths are left to other upgrade listeners', async () => {
+  const started = await startServer();
+  const otherServer = new WebSocketServer({ noServer: true });
+  started.server.on('upgrade', (req, socket, head) => {
+    if (req.url === '/other') {
+      otherServer.handleUpgrade(req, socket, head, client => client.send('other'));
+    }
+  });
+
+  const client = new WebSocket(`ws://localhost:${started.port}/other`);
+  try {
+    const [data] = await once(client, 'message');
+    assert.strictEqual(data.toString(), 'other');
+  } finally {
+    client.close();
+    otherServer.close();
+    await stopServer(started);
+  }
+});
+
+test('upgrades to other paths are served as ordinary requests without other upgrade listeners', async () => {
+  const started = await startServer();
+  started.server.on('request', (req, res) => res.end(`served ${req.url}`));
+
+  const req = http.request({
+    port: started.port,
+    path: '/hello',
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket' }
+  });
+  req.on('upgrade', () => assert.fail('the connection should not be upgraded'));
+  req.end();
+
+  try {
+    const [res] = await once(req, 'response');
+    let body = '';
+    for await (const chunk of res) body += chunk;
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(body, 'served /hello');
+  } finally {
+    await stopServer(started);
+  }
+});
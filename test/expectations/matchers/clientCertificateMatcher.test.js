@@ -0,0 +1,60 @@
+/**
+ * Tests for client certificate matcher
+ * @module test/expectations/matchers/clientCertificateMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { matchClientCertificate } from '../../../app/expectations/matchers/clientCertificateMatcher.js';
+import { matchesExpectation } from '../../../app/request-handling/matcher.js';
+import { validateExpectation } from '../../../app/expectations/expectationValidator.js';
+
+const clientCertificate = {
+  subject: 'C=PL, O=Acme, CN=orders-service',
+  issuer: 'CN=Acme Partner CA',
+  fingerprint: 'AB:CD:EF',
+  serialNumber: '1F',
+  authorized: true
+};
+
+test('matchClientCertificate matches fields exactly, by regex or by schema', () => {
+  assert.strictEqual(matchClientCertificate(clientCertificate, { subject: 'C=PL, O=Acme, CN=orders-service' }), true);
+  assert.strictEqual(matchClientCertificate(clientCertificate, { subject: '.*CN=orders-.*', issuer: 'CN=Acme Partner CA' }), true);
+  assert.strictEqual(matchClientCertificate(clientCertificate, { fingerprint: { schema: { type: 'string', pattern: '^AB:' } } }), true);
+  assert.strictEqual(matchClientCertificate(clientCertificate, { subject: '.*CN=billing-.*' }), false);
+});
+
+test('matchClientCertificate supports negated fields', () => {
+  assert.strictEqual(matchClientCertificate(clientCertificate, { issuer: { value: 'CN=Other CA', not: true } }), true);
+  assert.strictEqual(matchClientCertificate(clientCertificate, { issuer: { value: 'CN=Acme Partner CA', not: true } }), false);
+});
+
+test('matchClientCertificate matches whether a trusted CA signed the certificate', () => {
+  const selfSigned = { ...clientCertificate, issuer: clientCertificate.subject, authorized: false };
+
+  assert.strictEqual(matchClientCertificate(clientCertificate, { subject: '.*CN=orders-service', authorized: true }), true);
+  assert.strictEqual(matchClientCertificate(selfSigned, { subject: '.*CN=orders-service', authorized: true }), false);
+  assert.strictEqual(matchClientCertificate(selfSigned, { authorized: false }), true);
+  assert.strictEqual(matchClientCertificate(selfSigned, { subject: '.*CN=orders-service' }), true);
+  assert.strictEqual(validateExpectation({
+    httpRequest: { path: '/partner/orders', clientCertificate: { subject: '.*CN=orders-service', authorized: true } },
+    httpResponse: { statusCode: 200 }
+  }), null);
+});
+
+test('matchClientCertificate requires a certificate', () => {
+  assert.strictEqual(matchClientCertificate(undefined, { subject: '.*' }), false);
+  assert.strictEqual(matchClientCertificate(null, {}), false);
+});
+
+test('forward expectations fire only for the expected client certificate', () => {
+  const expectation = {
+    httpRequest: { method: 'GET', path: '/partner/orders', clientCertificate: { subject: '.*CN=orders-service.*' } },
+    httpForward: { host: 'partner.example.com', port: 443, scheme: 'HTTPS' }
+  };
+  const request = { method: 'GET', path: '/partner/orders', query: {}, headers: {}, body: {} };
+
+  assert.strictEqual(matchesExpectation({ ...request, clientCertificate }, expectation), true);
+  assert.strictEqual(matchesExpectation({ ...request, clientCertificate: { ...clientCertificate, subject: 'CN=billing-service' } }, expectation), false);
+  assert.strictEqual(matchesExpectation(request, expectation), false);
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for Cookie Matcher
+ * @module test/expectations/matchers/cookieMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { matchCookies } from '../../../app/expectations/matchers/cookieMatcher.js';
+import { matchesExpectation } from '../../../app/request-handling/matcher.js';
+import { toCookieEntries, serializeSetCookie } from '../../../app/utils/cookies.js';
+
+test('matchCookies matches exact values and regexes in both KeyToValue forms', () => {
+  const header = 'session=abc123; theme=dark';
+
+  assert.strictEqual(matchCookies(header, { session: 'abc123' }), true);
+  assert.strictEqual(matchCookies(header, { session: '^abc[0-9]+$', theme: 'dark' }), true);
+  assert.strictEqual(matchCookies(header, [{ name: 'theme', value: 'light' }]), false);
+  assert.strictEqual(matchCookies(header, { missing: '.*' }), false);
+  assert.strictEqual(matchCookies(undefined, { session: 'abc123' }), false);
+});
+
+test('matchCookies supports not and schema matchers', () => {
+  const header = 'session=abc123; retries=3';
+
+  assert.strictEqual(matchCookies(header, { session: { value: 'expired', not: true } }), true);
+  assert.strictEqual(matchCookies(header, { session: { value: 'abc123', not: true } }), false);
+  assert.strictEqual(matchCookies(header, { tracking: { value: '.*', not: true } }), true);
+  assert.strictEqual(matchCookies(header, { retries: { schema: { type: 'integer', maximum: 5 } } }), true);
+  assert.strictEqual(matchCookies(header, { retries: { schema: { type: 'integer', maximum: 2 } } }), false);
+});
+
+test('matchesExpectation checks the Cookie header', () => {
+  const expectation = {
+    httpRequest: { method: 'GET', path: '/account', cookies: { session: 'abc123' } },
+    httpResponse: { statusCode: 200 }
+  };
+  const request = cookie => ({ method: 'GET', path: '/account', query: {}, headers: cookie ? { cookie } : {}, body: {} });
+
+  assert.strictEqual(matchesExpectation(request('session=abc123'), expectation), true);
+  assert.strictEqual(matchesExpectation(request('session=other'), expectation), false);
+  assert.strictEqual(matchesExpectation(request(), expectation), false);
+});
+
+test('serializeSetCookie writes cookie attributes', () => {
+  const [cookie] = toCookieEntries({
+    session: { value: 'a b', path: '/', domain: 'example.com', maxAge: 60, secure: true, httpOnly: true, sameSite: 'Lax' }
+  });
+
+  assert.strictEqual(
+    serializeSetCookie(cookie),
+    'session=a%20b; Path=/; Domain=example.com; Max-Age=60; Secure; HttpOnly; SameSite=Lax'
+  );
+  assert.strictEqual(serializeSetCookie({ name: 'theme', value: 'dark' }), 'theme=dark');
+});
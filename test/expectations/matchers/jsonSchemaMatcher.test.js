@@ -0,0 +1,156 @@
+/**
+ * Tests for JSON Schema Matcher
+ * @module test/expectations/matchers/jsonSchemaMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import v8 from 'node:v8';
+import vm from 'node:vm';
+import { matchJsonSchema } from '../../../app/expectations/matchers/jsonSchemaMatcher.js';
+import { matchesExpectation, findMatchingExpectation } from '../../../app/request-handling/matcher.js';
+import { matchRequest } from '../../../app/expectations/matchers/matcher.js';
+import { initializeIndices } from '../../../app/expectations/indexers/indexer.js';
+
+const orderSchema = {
+  $id: 'https://example.com/order.json',
+  type: 'object',
+  required: ['id', 'email'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    email: { type: 'string', format: 'email' }
+  }
+};
+
+test('matchJsonSchema validates objects and JSON strings', () => {
+  assert.strictEqual(matchJsonSchema({ id: 1, email: 'a@example.com' }, orderSchema), true);
+  assert.strictEqual(matchJsonSchema('{"id": 2, "email": "b@example.com"}', orderSchema), true);
+  assert.strictEqual(matchJsonSchema({ id: 0, email: 'a@example.com' }, orderSchema), false);
+  assert.strictEqual(matchJsonSchema({ id: 1, email: 'not-an-email' }, orderSchema), false);
+  assert.strictEqual(matchJsonSchema('not json', orderSchema), false);
+});
+
+test('matchJsonSchema accepts schemas given as JSON strings and rejects invalid schemas', () => {
+  assert.strictEqual(matchJsonSchema('plain text', '{"type": "string", "minLength": 3}'), true);
+  assert.strictEqual(matchJsonSchema({ id: 1 }, { type: 'object', required: ['id'] }), true);
+  assert.strictEqual(matchJsonSchema({ id: 1 }, { type: 'not-a-type' }), false);
+});
+
+test('matchJsonSchema compiles schemas sharing an $id separately', () => {
+  const replacement = { ...orderSchema, required: ['id'] };
+
+  assert.strictEqual(matchJsonSchema({ id: 3 }, orderSchema), false);
+  assert.strictEqual(matchJsonSchema({ id: 3 }, replacement), true);
+});
+
+test('matchesExpectation matches request bodies with a JSON_SCHEMA body matcher', () => {
+  const expectation = {
+    httpRequest: {
+      method: 'POST',
+      path: '/orders',
+      body: { type: 'JSON_SCHEMA', value: orderSchema }
+    },
+    httpResponse: { statusCode: 201 }
+  };
+  const request = body => ({ method: 'POST', path: '/orders', query: {}, headers: {}, body });
+
+  assert.strictEqual(matchesExpectation(request({ id: 5, email: 'c@example.com' }), expectation), true);
+  assert.strictEqual(matchesExpectation(request({ id: 'five' }), expectation), false);
+});
+
+test('matchJsonSchema coerces string values when asked to', () => {
+  assert.strictEqual(matchJsonSchema('42', { type: 'integer', maximum: 100 }, { coerceTypes: true }), true);
+  assert.strictEqual(matchJsonSchema('420', { type: 'integer', maximum: 100 }, { coerceTypes: true }), false);
+  assert.strictEqual(matchJsonSchema('abc', { type: 'integer' }, { coerceTypes: true }), false);
+});
+
+test('matchJsonSchema still matches string schemas evicted from the cache', () => {
+  const schema = JSON.stringify({ type: 'integer', maximum: 100 });
+  assert.strictEqual(matchJsonSchema(42, schema), true);
+
+  for (let i = 0; i < 600; i++) {
+    matchJsonSchema(i, JSON.stringify({ type: 'integer', minimum: i }));
+  }
+
+  assert.strictEqual(matchJsonSchema(42, schema), true);
+  assert.strictEqual(matchJsonSchema(420, schema), false);
+});
+
+test('matchJsonSchema lets validators for discarded schema objects be freed', async () => {
+  v8.setFlagsFromString('--expose-gc');
+  const gc = vm.runInNewContext('gc');
+
+  let schema = { type: 'object', properties: { id: { type: 'integer' } } };
+  assert.strictEqual(matchJsonSchema({ id: 1 }, schema), true);
+  const properties = new WeakRef(schema.properties);
+  schema = null;
+
+  for (let i = 0; i < 600; i++) {
+    matchJsonSchema(i, { type: 'integer', minimum: i });
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  gc();
+
+  assert.strictEqual(properties.deref(), undefined);
+});
+
+test('matchJsonSchema resolves root-relative $ref when coercing', () => {
+  const schema = { $ref: '#/definitions/limit', definitions: { limit: { type: 'integer', maximum: 100 } } };
+  const defsSchema = { $ref: '#/$defs/limit', $defs: { limit: { type: 'integer', maximum: 100 } } };
+
+  assert.strictEqual(matchJsonSchema('42', schema, { coerceTypes: true }), true);
+  assert.strictEqual(matchJsonSchema('420', schema, { coerceTypes: true }), false);
+  assert.strictEqual(matchJsonSchema('42', defsSchema, { coerceTypes: true }), true);
+  assert.strictEqual(matchJsonSchema('abc', defsSchema, { coerceTypes: true }), false);
+});
+
+test('matchesExpectation constrains method, path, headers and query with schemas', () => {
+  const expectation = {
+    httpRequest: {
+      method: { schema: { type: 'string', enum: ['GET', 'HEAD'] } },
+      path: { schema: { type: 'string', pattern: '^/orders/[0-9]+$' } },
+      headers: { 'x-request-id': { schema: { type: 'string', format: 'uuid' } } },
+      queryStringParameters: { limit: { schema: { type: 'integer', maximum: 50 } } }
+    },
+    httpResponse: { statusCode: 200 }
+  };
+  const request = (method, path, requestId, limit) => ({
+    method,
+    path,
+    query: { limit },
+    headers: { 'x-request-id': requestId },
+    body: {}
+  });
+  const requestId = '0b9c4a52-5f7c-4a43-9a8e-2f1d6c3e8b71';
+
+  assert.strictEqual(matchesExpectation(request('GET', '/orders/7', requestId, '10'), expectation), true);
+  assert.strictEqual(matchesExpectation(request('POST', '/orders/7', requestId, '10'), expectation), false);
+  assert.strictEqual(matchesExpectation(request('GET', '/orders/abc', requestId, '10'), expectation), false);
+  assert.strictEqual(matchesExpectation(request('GET', '/orders/7', 'not-a-uuid', '10'), expectation), false);
+  assert.strictEqual(matchesExpectation(request('GET', '/orders/7', requestId, '99'), expectation), false);
+
+  assert.strictEqual(matchRequest(expectation, request('HEAD', '/orders/7', requestId, '10')), true);
+  assert.strictEqual(matchRequest(expectation, request('GET', '/orders/7', 'not-a-uuid', '10')), false);
+});
+
+test('findMatchingExpectation finds expectations whose method and path are schemas', () => {
+  const expectations = new Map([
+    ['schema-path', {
+      id: 'schema-path',
+      httpRequest: { path: { schema: { type: 'string', pattern: '^/reports/' } } },
+      httpResponse: { statusCode: 200 }
+    }],
+    ['schema-method', {
+      id: 'schema-method',
+      httpRequest: { method: { schema: { enum: ['DELETE'] } } },
+      httpResponse: { statusCode: 204 }
+    }]
+  ]);
+  initializeIndices(expectations);
+  const request = (method, path) => ({ method, path, query: {}, headers: {}, body: {} });
+
+  assert.strictEqual(findMatchingExpectation(request('GET', '/reports/2024'), expectations).id, 'schema-path');
+  assert.strictEqual(findMatchingExpectation(request('DELETE', '/users/1'), expectations).id, 'schema-method');
+
+  initializeIndices(new Map());
+});
@@ -132,4 +132,54 @@ test('matchRequest handles wildcard matching', (t) => {
 
   assert.strictEqual(matchRequest(wildcardExpectation, matchingRequest), true);
   assert.strictEqual(matchRequest(wildcardExpectation, nonMatchingRequest), false);
-}); 
\ No newline at end of file
+}); 
+test('matchRequest matches header names case-insensitively in both directions', (t) => {
+  const expectation = {
+    httpRequest: {
+      headers: {
+        'x-api-key': 'secret',
+        Accept: { value: 'APPLICATION/JSON', ignoreCase: true }
+      }
+    }
+  };
+
+  const recordedRequest = {
+    method: 'GET',
+    path: '/api/resource',
+    headers: {
+      'X-Api-Key': 'secret',
+      accept: 'application/json'
+    }
+  };
+
+  assert.strictEqual(matchRequest(expectation, recordedRequest), true);
+  assert.strictEqual(matchRequest(expectation, { ...recordedRequest, headers: { 'x-api-key': 'SECRET', accept: 'application/json' } }), false);
+});
+
+test('matchRequest matches secure against whether the request arrived over TLS', (t) => {
+  const recordedRequest = { method: 'GET', path: '/api/resource', headers: {}, secure: true };
+
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', secure: true } }, recordedRequest), true);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', secure: false } }, recordedRequest), false);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', secure: false } }, { ...recordedRequest, secure: undefined }), true);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource' } }, recordedRequest), true);
+});
+
+test('matchRequest matches protocol against the HTTP version the request arrived over', (t) => {
+  const recordedRequest = { method: 'GET', path: '/api/resource', headers: {}, protocol: 'HTTP_2' };
+
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', protocol: 'HTTP_2' } }, recordedRequest), true);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', protocol: 'HTTP_1_1' } }, recordedRequest), false);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource', protocol: 'HTTP_1_1' } }, { ...recordedRequest, protocol: undefined }), true);
+  assert.strictEqual(matchRequest({ httpRequest: { path: '/api/resource' } }, recordedRequest), true);
+});
+
+test('matchRequest matches JSON bodies by their fields unless the match type is strict', (t) => {
+  const recordedRequest = { method: 'POST', path: '/orders', headers: {}, body: { id: 1, status: 'open' } };
+  const definition = body => ({ httpRequest: { path: '/orders', body } });
+
+  assert.strictEqual(matchRequest(definition({ type: 'json', value: { id: 1 } }), recordedRequest), true);
+  assert.strictEqual(matchRequest(definition({ type: 'json', value: { id: 2 } }), recordedRequest), false);
+  assert.strictEqual(matchRequest(definition({ type: 'json', value: { id: 1 }, matchType: 'strict' }), recordedRequest), false);
+  assert.strictEqual(matchRequest(definition({ type: 'json', value: { id: 1, status: 'open' }, matchType: 'strict' }), recordedRequest), true);
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for Multi-Value Matcher
+ * @module test/expectations/matchers/multiValueMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { matchMultiValue } from '../../../app/expectations/matchers/multiValueMatcher.js';
+import { matchesExpectation } from '../../../app/request-handling/matcher.js';
+
+const options = { matchType: 'onlyMatchingFields' };
+
+test('matchMultiValue matches array-form expectations', () => {
+  const expected = [{ name: 'tag', values: ['a', 'b'] }, { name: 'page', values: ['[0-9]+'] }];
+
+  assert.strictEqual(matchMultiValue({ tag: ['b', 'a'], page: '2' }, expected, options), true);
+  assert.strictEqual(matchMultiValue({ tag: ['a'], page: '2' }, expected, options), false);
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'b'] }, expected, options), false);
+});
+
+test('matchMultiValue requires every expected value with SUB_SET', () => {
+  const expected = { tag: ['a', 'b'] };
+
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'b', 'c'] }, expected, options), true);
+  assert.strictEqual(matchMultiValue({ tag: 'a' }, expected, options), false);
+});
+
+test('matchMultiValue requires every actual value to be expected with MATCHING_KEY', () => {
+  const expected = { keyMatchStyle: 'MATCHING_KEY', tag: ['[ab]'] };
+
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'b'] }, expected, options), true);
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'c'] }, expected, options), false);
+  assert.strictEqual(matchMultiValue({ tag: 'c' }, { tag: ['[ab]'], keyMatchStyle: 'SUB_SET' }, options), false);
+});
+
+test('matchMultiValue compares key and value counts in STRICT mode', () => {
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'b'] }, { tag: ['a', 'b'] }), true);
+  assert.strictEqual(matchMultiValue({ tag: ['a', 'b'] }, { tag: ['a'] }), false);
+  assert.strictEqual(matchMultiValue({ tag: 'a', page: '1' }, { tag: 'a' }), false);
+});
+
+test('matchMultiValue looks up keys case-insensitively when asked to', () => {
+  const headers = { 'content-type': 'application/json' };
+
+  assert.strictEqual(matchMultiValue(headers, { 'Content-Type': 'application/json' }, { ...options, ignoreKeyCase: true }), true);
+  assert.strictEqual(matchMultiValue(headers, { 'Content-Type': 'application/json' }, options), false);
+  assert.strictEqual(matchMultiValue(headers, { 'Content-Type': 'Application/JSON' }, { ...options, ignoreKeyCase: true }), false);
+  assert.strictEqual(
+    matchMultiValue(headers, { 'Content-Type': { value: 'Application/JSON', ignoreCase: true } }, { ...options, ignoreKeyCase: true }),
+    true
+  );
+});
+
+test('matchesExpectation matches header names regardless of their case', () => {
+  const expectation = {
+    httpRequest: { method: 'POST', path: '/orders', headers: { 'Content-Type': 'application/json' } },
+    httpResponse: { statusCode: 201 }
+  };
+  const request = contentType => ({ method: 'POST', path: '/orders', query: {}, headers: { 'content-type': contentType }, body: {} });
+
+  assert.strictEqual(matchesExpectation(request('application/json'), expectation), true);
+  assert.strictEqual(matchesExpectation(request('Application/JSON'), expectation), false);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for negated and optional matchers
+ * @module test/expectations/matchers/notOptional.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { matchesExpectation, findMatchingExpectation } from '../../../app/request-handling/matcher.js';
+import { initializeIndices } from '../../../app/expectations/indexers/indexer.js';
+import { matchRequest } from '../../../app/expectations/matchers/matcher.js';
+
+function createRequest({ method = 'GET', path = '/items', query = {}, headers = {}, body = {} } = {}) {
+  return { method, path, query, headers, body };
+}
+
+function expectation(httpRequest) {
+  return { httpRequest, httpResponse: { statusCode: 200 } };
+}
+
+test('a !-prefixed header must be absent or not match', () => {
+  const absent = expectation({ path: '/items', headers: { '!x-debug': [{ schema: { type: 'string' } }] } });
+
+  assert.strictEqual(matchesExpectation(createRequest(), absent), true);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { 'x-debug': 'on' } }), absent), false);
+  assert.strictEqual(matchRequest(absent, createRequest()), true);
+  assert.strictEqual(matchRequest(absent, createRequest({ headers: { 'x-debug': 'on' } })), false);
+});
+
+test('an optional query parameter may be missing but must match when present', () => {
+  const optional = expectation({ path: '/items', queryStringParameters: { page: [{ value: '[0-9]+', optional: true }] } });
+  const prefixed = expectation({ path: '/items', queryStringParameters: { '?page': ['[0-9]+'] } });
+
+  for (const definition of [optional, prefixed]) {
+    assert.strictEqual(matchesExpectation(createRequest(), definition), true);
+    assert.strictEqual(matchesExpectation(createRequest({ query: { page: '2' } }), definition), true);
+    assert.strictEqual(matchesExpectation(createRequest({ query: { page: 'last' } }), definition), false);
+  }
+});
+
+test('a negated value must match none of the values', () => {
+  const definition = expectation({ path: '/items', headers: { accept: [{ value: 'text/html', not: true }] } });
+
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { accept: 'application/json' } }), definition), true);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { accept: 'text/html' } }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest(), definition), true);
+  assert.strictEqual(matchRequest(definition, createRequest({ headers: { accept: 'text/html' } })), false);
+});
+
+test('method and path can be negated', () => {
+  const definition = expectation({
+    method: { value: 'DELETE', not: true },
+    path: { value: '/admin.*', not: true }
+  });
+
+  assert.strictEqual(matchesExpectation(createRequest(), definition), true);
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'DELETE' }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest({ path: '/admin/users' }), definition), false);
+  assert.strictEqual(matchRequest(definition, createRequest({ method: 'DELETE' })), false);
+  assert.strictEqual(matchRequest(definition, createRequest()), true);
+});
+
+test('a body can be negated or optional', () => {
+  const negated = expectation({ method: 'POST', path: '/items', body: { type: 'regex', value: 'password', not: true } });
+  const optional = expectation({ method: 'POST', path: '/items', body: { type: 'json', value: { name: 'a' }, optional: true } });
+
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'POST', body: 'name=a' }), negated), true);
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'POST', body: 'password=secret' }), negated), false);
+
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'POST' }), optional), true);
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'POST', body: { name: 'a' } }), optional), true);
+  assert.strictEqual(matchesExpectation(createRequest({ method: 'POST', body: { name: 'b' } }), optional), false);
+});
+
+test('cookies support !-prefixed names and optional values', () => {
+  const definition = expectation({
+    path: '/items',
+    cookies: { '!tracking': '.*', theme: { value: 'dark|light', optional: true } }
+  });
+
+  assert.strictEqual(matchesExpectation(createRequest(), definition), true);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { cookie: 'theme=dark' } }), definition), true);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { cookie: 'theme=blue' } }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { cookie: 'tracking=1' } }), definition), false);
+});
+
+test('findMatchingExpectation finds expectations with a negated method or path', () => {
+  const expectations = new Map([
+    ['not-delete', { id: 'not-delete', ...expectation({ method: { value: 'DELETE', not: true } }) }],
+    ['not-admin', { id: 'not-admin', ...expectation({ method: 'DELETE', path: { value: '/admin', not: true } }) }]
+  ]);
+  initializeIndices(expectations);
+
+  assert.strictEqual(findMatchingExpectation(createRequest({ method: 'PUT' }), expectations).id, 'not-delete');
+  assert.strictEqual(findMatchingExpectation(createRequest({ method: 'DELETE', path: '/users' }), expectations).id, 'not-admin');
+
+  initializeIndices(new Map());
+});
+
+test('forward expectations apply negated and optional matchers to every field', () => {
+  const definition = {
+    httpRequest: {
+      path: '/items',
+      headers: { '!x-debug': ['.*'] },
+      queryStringParameters: { '?page': ['[0-9]+'] },
+      cookies: { session: { value: 'expired', not: true } },
+      body: { type: 'json', value: { archived: true }, not: true }
+    },
+    httpForward: { host: 'localhost', port: 8080 }
+  };
+
+  assert.strictEqual(matchesExpectation(createRequest(), definition), true);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { 'x-debug': 'on' } }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest({ query: { page: 'last' } }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest({ headers: { cookie: 'session=expired' } }), definition), false);
+  assert.strictEqual(matchesExpectation(createRequest({ body: { archived: true } }), definition), false);
+});
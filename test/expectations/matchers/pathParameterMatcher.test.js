@@ -0,0 +1,82 @@
+/**
+ * Tests for Path Parameter Matcher
+ * @module test/expectations/matchers/pathParameterMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  isPathTemplate,
+  extractPathParameters,
+  matchPathParameters
+} from '../../../app/expectations/matchers/pathParameterMatcher.js';
+import { matchesExpectation, findMatchingExpectation } from '../../../app/request-handling/matcher.js';
+import { matchesRequestDefinition } from '../../../app/api/handlers/retrieveHandler.js';
+import { initializeIndices, getCandidateExpectationIds } from '../../../app/expectations/indexers/indexer.js';
+
+test('isPathTemplate recognises placeholders but not regex quantifiers', () => {
+  assert.strictEqual(isPathTemplate('/users/{userId}'), true);
+  assert.strictEqual(isPathTemplate('/users/[0-9]{2}'), false);
+  assert.strictEqual(isPathTemplate('/users'), false);
+  assert.strictEqual(isPathTemplate({ schema: {} }), false);
+});
+
+test('extractPathParameters splits values by parameter style', () => {
+  assert.deepStrictEqual(extractPathParameters('/users/{userId}/orders/{orderId}', '/users/7/orders/a%20b'), {
+    userId: ['7'],
+    orderId: ['a b']
+  });
+  assert.deepStrictEqual(extractPathParameters('/users/{ids}', '/users/1,2,3'), { ids: ['1', '2', '3'] });
+  assert.deepStrictEqual(
+    extractPathParameters('/users/{ids}', '/users/.1.2', { ids: [{ value: '1', parameterStyle: 'LABEL' }] }),
+    { ids: ['1', '2'] }
+  );
+  assert.deepStrictEqual(
+    extractPathParameters('/users/{ids}', '/users/;ids=1;ids=2', { ids: [{ value: '1', parameterStyle: 'MATRIX' }] }),
+    { ids: ['1', '2'] }
+  );
+  assert.strictEqual(extractPathParameters('/users/{userId}', '/users/7/orders'), null);
+});
+
+test('matchPathParameters matches extracted values against regexes and schemas', () => {
+  assert.strictEqual(matchPathParameters('/users/{userId}', '/users/42', { userId: ['[0-9]+'] }), true);
+  assert.strictEqual(matchPathParameters('/users/{userId}', '/users/abc', { userId: ['[0-9]+'] }), false);
+  assert.strictEqual(matchPathParameters('/users/{userId}', '/users/42', { userId: [{ schema: { type: 'integer', minimum: 50 } }] }), false);
+  assert.strictEqual(matchPathParameters('/users/{userId}', '/users/abc'), true);
+});
+
+test('matchPathParameters matches regexes against the whole value', () => {
+  assert.strictEqual(matchPathParameters('/items/{id}', '/items/abc1', { id: ['[0-9]+'] }), false);
+  assert.strictEqual(matchPathParameters('/items/{id}', '/items/1abc', { id: [{ value: '[0-9]+' }] }), false);
+  assert.strictEqual(matchPathParameters('/items/{id}', '/items/a+b', { id: ['a+b'] }), true);
+  assert.strictEqual(matchPathParameters('/items/{id}', '/items/abc1', { id: [{ value: '[0-9]+', not: true }] }), true);
+});
+
+test('matchesExpectation and retrieve filters accept templated paths', () => {
+  const httpRequest = {
+    method: 'GET',
+    path: '/users/{userId}/orders/{orderId}',
+    pathParameters: { userId: ['[0-9]+'] }
+  };
+  const request = requestPath => ({ method: 'GET', path: requestPath, query: {}, headers: {}, body: {} });
+
+  assert.strictEqual(matchesExpectation(request('/users/1/orders/x'), { httpRequest, httpResponse: {} }), true);
+  assert.strictEqual(matchesExpectation(request('/users/me/orders/x'), { httpRequest, httpResponse: {} }), false);
+  assert.strictEqual(matchesRequestDefinition(request('/users/1/orders/x'), httpRequest), true);
+  assert.strictEqual(matchesRequestDefinition(request('/users/me/orders/x'), httpRequest), false);
+});
+
+test('indexer indexes templated paths by their literal prefix', () => {
+  const expectations = new Map([
+    ['prefixed', { id: 'prefixed', httpRequest: { path: '/users/{userId}' }, httpResponse: {} }],
+    ['leading', { id: 'leading', httpRequest: { path: '/{tenant}/users' }, httpResponse: {} }]
+  ]);
+  initializeIndices(expectations);
+  const request = requestPath => ({ method: 'GET', path: requestPath, query: {}, headers: {}, body: {} });
+
+  assert.deepStrictEqual([...getCandidateExpectationIds(request('/orders/1'))], ['leading']);
+  assert.strictEqual(findMatchingExpectation(request('/users/9'), expectations).id, 'prefixed');
+  assert.strictEqual(findMatchingExpectation(request('/acme/users'), expectations).id, 'leading');
+
+  initializeIndices(new Map());
+});
@@ -12,8 +12,15 @@ import {
   getAllExpectations,
   removeExpectation,
   clearExpectations,
-  getExpectationsMap
+  getExpectationsMap,
+  findExpectationForRequest,
+  setPersistencePath,
+  enablePersistence,
+  disablePersistence
 } from '../../app/expectations/expectationStore.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 test('addExpectation adds a valid expectation to store', async (t) => {
   
@@ -217,4 +224,166 @@ test('clearExpectations clears all expectations', async (t) => {
   
   const afterClear = getAllExpectations();
   assert.strictEqual(afterClear.length, 0);
-}); 
\ No newline at end of file
+});
+
+test('findExpectationForRequest decrements remainingTimes and removes exhausted expectations', async (t) => {
+  
+  await initializeStore();
+
+  
+  const id = await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/limited'
+    },
+    httpResponse: {
+      statusCode: 200
+    },
+    times: {
+      remainingTimes: 2,
+      unlimited: false
+    }
+  });
+
+  const request = { method: 'GET', path: '/api/limited', headers: {}, query: {} };
+
+  
+  assert.strictEqual(findExpectationForRequest(request)?.id, id);
+  assert.strictEqual(getExpectation(id).times.remainingTimes, 1);
+
+  
+  assert.strictEqual(findExpectationForRequest(request)?.id, id);
+  assert.strictEqual(getExpectation(id), undefined);
+
+  
+  assert.strictEqual(findExpectationForRequest(request), null);
+
+  
+  await clearExpectations();
+});
+
+test('findExpectationForRequest falls through to the next expectation once one is exhausted', async (t) => {
+  
+  await initializeStore();
+
+  
+  await addExpectation({
+    priority: 10,
+    httpRequest: { method: 'GET', path: '/api/flaky' },
+    httpResponse: { statusCode: 500 },
+    times: { remainingTimes: 1 }
+  });
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/flaky' },
+    httpResponse: { statusCode: 200 },
+    times: { unlimited: true }
+  });
+
+  const request = { method: 'GET', path: '/api/flaky', headers: {}, query: {} };
+
+  
+  assert.strictEqual(findExpectationForRequest(request).httpResponse.statusCode, 500);
+  assert.strictEqual(findExpectationForRequest(request).httpResponse.statusCode, 200);
+  assert.strictEqual(findExpectationForRequest(request).httpResponse.statusCode, 200);
+
+  
+  await clearExpectations();
+});
+
+test('addExpectation normalizes array-form headers and query parameters', async (t) => {
+  
+  await initializeStore();
+
+  const id = await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/search',
+      headers: [{ name: 'accept', values: ['application/json'] }],
+      queryStringParameters: [{ name: 'tag', values: ['a', 'b'] }]
+    },
+    httpResponse: {
+      statusCode: 200,
+      headers: [{ name: 'x-trace', values: ['1', '2'] }]
+    }
+  });
+
+  const stored = getExpectation(id);
+  assert.deepStrictEqual(stored.httpRequest.headers, { accept: ['application/json'] });
+  assert.deepStrictEqual(stored.httpRequest.queryStringParameters, { tag: ['a', 'b'] });
+  assert.deepStrictEqual(stored.httpResponse.headers, { 'x-trace': ['1', '2'] });
+
+  const request = {
+    method: 'GET',
+    path: '/api/search',
+    headers: { accept: 'application/json' },
+    query: { tag: ['b', 'a', 'c'] }
+  };
+  assert.strictEqual(findExpectationForRequest(request).id, id);
+  assert.strictEqual(findExpectationForRequest({ ...request, query: { tag: 'a' } }), null);
+
+  
+  await clearExpectations();
+});
+
+test('expectations with timeToLive stop matching and are purged once expired', async (t) => {
+  
+  await initializeStore();
+
+  
+  const id = await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/short-lived' },
+    httpResponse: { statusCode: 200 },
+    timeToLive: { timeUnit: 'MILLISECONDS', timeToLive: 50, unlimited: false }
+  });
+
+  const request = { method: 'GET', path: '/api/short-lived', headers: {}, query: {} };
+  assert.strictEqual(findExpectationForRequest(request)?.id, id);
+
+  
+  await new Promise(resolve => setTimeout(resolve, 80));
+
+  
+  assert.strictEqual(findExpectationForRequest(request), null);
+  assert.strictEqual(getExpectation(id), undefined);
+  assert.strictEqual(getAllExpectations().length, 0);
+
+  
+  await clearExpectations();
+});
+
+test('timeToLive is computed from the persisted creation time after a restart', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mocksrv-ttl-'));
+  const file = path.join(dir, 'expectations.json');
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  fs.writeFileSync(file, JSON.stringify([
+    {
+      id: 'expired',
+      httpRequest: { method: 'GET', path: '/api/expired' },
+      httpResponse: { statusCode: 200 },
+      timeToLive: { timeUnit: 'MINUTES', timeToLive: 30 },
+      createdAt: hourAgo
+    },
+    {
+      id: 'alive',
+      httpRequest: { method: 'GET', path: '/api/alive' },
+      httpResponse: { statusCode: 200 },
+      timeToLive: { timeUnit: 'HOURS', timeToLive: 2 },
+      createdAt: hourAgo
+    }
+  ]));
+
+  try {
+    setPersistencePath(file);
+    enablePersistence();
+    await initializeStore();
+
+    
+    assert.strictEqual(getExpectation('expired'), undefined);
+    assert.strictEqual(getExpectation('alive').createdAt, hourAgo);
+  } finally {
+    disablePersistence();
+    await initializeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for forwarded request overrides and modifiers
+ * @module test/http-forwarding/forwardOverrides.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  applyRequestOverride,
+  applyRequestModifier,
+  applyResponseOverride,
+  resolveForwardTarget,
+  buildOverriddenRequest,
+  buildComputedRequest
+} from '../../app/http-forwarding/forwardOverrides.js';
+
+function createRequest() {
+  return {
+    method: 'GET',
+    path: '/api/v1/orders/42',
+    originalUrl: '/api/v1/orders/42?expand=items',
+    query: { expand: 'items', debug: 'true' },
+    headers: {
+      host: 'localhost:1080',
+      'X-Trace-Id': 'abc',
+      cookie: 'session=s1; tracking=t1'
+    },
+    body: {},
+    rawBody: Buffer.from('')
+  };
+}
+
+test('applyRequestOverride replaces fields and merges headers case-insensitively', () => {
+  const request = createRequest();
+
+  const overridden = applyRequestOverride(request, {
+    path: '/orders/42',
+    headers: { Host: ['backend:8080'], 'x-trace-id': ['override'] },
+    body: { id: 42 }
+  });
+
+  assert.strictEqual(overridden.path, '/orders/42');
+  assert.strictEqual(overridden.method, 'GET');
+  assert.strictEqual(overridden.headers.Host, 'backend:8080');
+  assert.strictEqual(overridden.headers['x-trace-id'], 'override');
+  assert.strictEqual(overridden.headers.host, undefined);
+  assert.strictEqual(overridden.headers['X-Trace-Id'], undefined);
+  assert.deepStrictEqual(overridden.body, { id: 42 });
+  assert.strictEqual(overridden.rawBody, undefined);
+  assert.strictEqual(request.headers['X-Trace-Id'], 'abc');
+});
+
+test('applyRequestModifier rewrites the path with a regex', () => {
+  const modified = applyRequestModifier(createRequest(), {
+    path: { regex: '^/api/v1', substitution: '' }
+  });
+
+  assert.strictEqual(modified.path, '/orders/42');
+});
+
+test('applyRequestModifier adds, replaces and removes headers and query parameters', () => {
+  const modified = applyRequestModifier(createRequest(), {
+    headers: {
+      add: { Authorization: ['Bearer token'] },
+      replace: [{ name: 'x-trace-id', values: ['replaced'] }],
+      remove: ['Host']
+    },
+    queryStringParameters: {
+      add: { page: ['2'] },
+      remove: ['debug']
+    }
+  });
+
+  assert.strictEqual(modified.headers.Authorization, 'Bearer token');
+  assert.strictEqual(modified.headers['X-Trace-Id'], 'replaced');
+  assert.strictEqual(modified.headers.host, undefined);
+  assert.deepStrictEqual(modified.query, { expand: 'items', page: '2' });
+  assert.strictEqual(modified.originalUrl, undefined);
+});
+
+test('applyRequestModifier strips and adds cookies', () => {
+  const modified = applyRequestModifier(createRequest(), {
+    cookies: {
+      add: { locale: ['pl'] },
+      remove: ['tracking']
+    }
+  });
+
+  assert.strictEqual(modified.headers.cookie, 'session=s1; locale=pl');
+
+  const stripped = applyRequestModifier(createRequest(), {
+    cookies: { remove: ['session', 'tracking'] }
+  });
+  assert.strictEqual(stripped.headers.cookie, undefined);
+});
+
+test('resolveForwardTarget uses socketAddress before the Host header', () => {
+  assert.deepStrictEqual(
+    resolveForwardTarget({ socketAddress: { host: 'backend', port: 8443, scheme: 'https' } }),
+    { host: 'backend', port: 8443, scheme: 'HTTPS' }
+  );
+  assert.deepStrictEqual(
+    resolveForwardTarget({ headers: { Host: ['backend:8080'] } }),
+    { host: 'backend', port: 8080, scheme: 'HTTP' }
+  );
+  assert.deepStrictEqual(
+    resolveForwardTarget({ headers: { host: 'backend' }, secure: true }),
+    { host: 'backend', port: 443, scheme: 'HTTPS' }
+  );
+  assert.strictEqual(resolveForwardTarget({ headers: {} }), null);
+});
+
+test('buildOverriddenRequest requires an upstream target', () => {
+  assert.throws(
+    () => buildOverriddenRequest(createRequest(), { requestModifier: { path: { regex: '^/api' } } }),
+    /must set socketAddress or a Host header/
+  );
+
+  const { forwardedRequest, forwardConfig } = buildOverriddenRequest(createRequest(), {
+    requestOverride: { socketAddress: { host: 'backend', port: 8080 } },
+    requestModifier: { path: { regex: '^/api/v1', substitution: '/v2' } }
+  });
+
+  assert.deepStrictEqual(forwardConfig, { host: 'backend', port: 8080, scheme: 'HTTP' });
+  assert.strictEqual(forwardedRequest.path, '/v2/orders/42');
+});
+
+test('applyResponseOverride overrides status and body and modifies headers and cookies', () => {
+  const response = {
+    status: 200,
+    headers: {
+      'content-type': 'application/json',
+      'content-encoding': 'gzip',
+      'x-powered-by': 'backend',
+      'set-cookie': ['session=s1; Path=/; HttpOnly', 'tracking=t1']
+    },
+    body: Buffer.from('compressed')
+  };
+
+  const result = applyResponseOverride(response, {
+    statusCode: 201,
+    body: { id: 42 }
+  }, {
+    headers: { add: { 'X-Mocked': ['true'] }, remove: ['x-powered-by'] },
+    cookies: { replace: { session: ['s2'] }, remove: ['tracking'] }
+  });
+
+  assert.strictEqual(result.status, 201);
+  assert.deepStrictEqual(result.body, { id: 42 });
+  assert.strictEqual(result.headers['content-encoding'], undefined);
+  assert.strictEqual(result.headers['x-powered-by'], undefined);
+  assert.strictEqual(result.headers['X-Mocked'], 'true');
+  assert.deepStrictEqual(result.headers['set-cookie'], ['session=s2; Path=/; HttpOnly']);
+  assert.strictEqual(response.headers['x-powered-by'], 'backend');
+});
+
+test('buildComputedRequest builds the forwarded request from a template result', () => {
+  const { forwardedRequest, forwardConfig } = buildComputedRequest(createRequest(), {
+    path: '/orders/42',
+    headers: { Host: ['acme.internal:8080'], 'X-Tenant': ['acme'] },
+    queryStringParameters: { expand: ['items'] }
+  });
+
+  assert.deepStrictEqual(forwardConfig, { host: 'acme.internal', port: 8080, scheme: 'HTTP' });
+  assert.strictEqual(forwardedRequest.method, 'GET');
+  assert.strictEqual(forwardedRequest.path, '/orders/42');
+  assert.deepStrictEqual(forwardedRequest.headers, { Host: 'acme.internal:8080', 'X-Tenant': 'acme' });
+  assert.deepStrictEqual(forwardedRequest.query, { expand: 'items' });
+
+  assert.throws(() => buildComputedRequest(createRequest(), { path: '/orders' }), /must return a socketAddress or a Host header/);
+});
@@ -7,6 +7,12 @@ import test from 'node:test';
 import assert from 'node:assert';
 import { buildForwardUrl, forwardRequest } from '../../app/http-forwarding/forwarder.js';
 import http from 'node:http';
+import https from 'node:https';
+import http2 from 'node:http2';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getCertificateAuthorityPem, getServerCertificate, createClientCertificate } from '../../app/tls/certificateAuthority.js';
 import { once } from 'node:events';
 
 test('buildForwardUrl constructs proper URL', (t) => {
@@ -196,4 +202,95 @@ test('forwardRequest correctly handles custom headers', async (t) => {
       await new Promise(resolve => server.close(resolve));
     }
   }
-}); 
\ No newline at end of file
+}); 
+
+test('forwardRequest presents the client certificate configured in tls to mTLS upstreams', async (t) => {
+  const upstream = https.createServer({
+    ...getServerCertificate('localhost'),
+    ca: getCertificateAuthorityPem(),
+    requestCert: true,
+    rejectUnauthorized: true
+  }, (req, res) => {
+    res.end(req.socket.getPeerX509Certificate().subject);
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+  const { port } = upstream.address();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mocksrv-client-cert-'));
+  const clientCertificate = createClientCertificate('orders-client');
+  fs.writeFileSync(path.join(dir, 'client-key.pem'), clientCertificate.key);
+
+  const request = { method: 'GET', path: '/partner', headers: {} };
+
+  try {
+    const response = await forwardRequest(request, {
+      host: 'localhost',
+      port,
+      scheme: 'HTTPS',
+      tls: {
+        key: path.join(dir, 'client-key.pem'),
+        cert: clientCertificate.cert,
+        ca: getCertificateAuthorityPem()
+      }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'CN=orders-client');
+
+    await assert.rejects(forwardRequest(request, { host: 'localhost', port, scheme: 'HTTPS' }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    upstream.closeAllConnections();
+    await new Promise(resolve => upstream.close(resolve));
+  }
+});
+
+test('forwardRequest speaks HTTP/2 to upstreams that negotiate it', async (t) => {
+  const upstream = http2.createSecureServer({ ...getServerCertificate('localhost'), allowHTTP1: true }, (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ httpVersion: req.httpVersion, method: req.method, url: req.url, body, custom: req.headers['x-custom'] }));
+    });
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+  const { port } = upstream.address();
+
+  try {
+    const response = await forwardRequest({
+      method: 'POST',
+      path: '/orders',
+      originalUrl: '/orders?id=1',
+      headers: { 'X-Custom': 'value', connection: 'keep-alive', 'transfer-encoding': 'chunked' },
+      body: { id: 1 }
+    }, { host: 'localhost', port, scheme: 'HTTPS' });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(response.body.toString()), {
+      httpVersion: '2.0',
+      method: 'POST',
+      url: '/orders?id=1',
+      body: '{"id":1}',
+      custom: 'value'
+    });
+  } finally {
+    await new Promise(resolve => upstream.close(resolve));
+  }
+});
+
+test('forwardRequest rejects with the original connection error', async (t) => {
+  const closed = http.createServer();
+  closed.listen(0);
+  await once(closed, 'listening');
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(
+    forwardRequest({ method: 'GET', path: '/', headers: {} }, { host: '127.0.0.1', port }),
+    error => error.code === 'ECONNREFUSED' && !error.message.includes('Failed to forward request')
+  );
+});
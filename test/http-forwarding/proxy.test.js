@@ -0,0 +1,295 @@
+/**
+ * Tests for forward proxy mode
+ * @module test/http-forwarding/proxy.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import https from 'node:https';
+import http2 from 'node:http2';
+import tls from 'node:tls';
+import { once } from 'node:events';
+import express from 'express';
+import { addExpectation, clearExpectations } from '../../app/expectations/expectationStore.js';
+import { requestHandler } from '../../app/request-handling/requestHandler.js';
+import { getRequestHistory, clearRequestHistory } from '../../app/api/handlers/retrieveHandler.js';
+import { attachProxyTunnel, getProxyTarget, parseAuthority, buildPassThroughRequest } from '../../app/http-forwarding/proxy.js';
+import { getCertificateAuthorityPem, getServerCertificate } from '../../app/tls/certificateAuthority.js';
+import { createHttp2Server } from '../../app/http2/http2Server.js';
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server.address().port;
+}
+
+async function startServers() {
+  const upstream = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ upstream: true, url: req.url, proxyHeader: req.headers['proxy-connection'] || null }));
+  });
+
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use(requestHandler);
+    app.use((req, res) => res.status(404).end());
+    return app;
+  };
+  const proxy = http.createServer(createApp());
+  const proxyHttp2 = createHttp2Server(createApp());
+  attachProxyTunnel(proxy, proxyHttp2);
+
+  return {
+    upstream,
+    proxy,
+    upstreamPort: await listen(upstream),
+    proxyPort: await listen(proxy),
+    async close() {
+      proxy.closeAllConnections();
+      upstream.closeAllConnections();
+      proxy.close();
+      proxyHttp2.close();
+      upstream.close();
+    }
+  };
+}
+
+function readResponse(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    res.on('error', reject);
+  });
+}
+
+function requestThroughProxy(proxyPort, url) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: proxyPort,
+      path: url,
+      headers: { host: new URL(url).host, 'proxy-connection': 'keep-alive' }
+    }, res => readResponse(res).then(resolve, reject));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function requestThroughTunnel(proxyPort, authority, path) {
+  return new Promise((resolve, reject) => {
+    const connect = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: authority });
+    connect.on('connect', (res, socket) => {
+      assert.strictEqual(res.statusCode, 200);
+      const req = http.request({
+        createConnection: () => socket,
+        path,
+        headers: { host: authority }
+      }, response => readResponse(response).then(resolve, reject));
+      req.on('error', reject);
+      req.end();
+    });
+    connect.on('error', reject);
+    connect.end();
+  });
+}
+
+function requestThroughSecureTunnel(proxyPort, authority, path) {
+  return new Promise((resolve, reject) => {
+    const connect = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: authority });
+    connect.on('connect', (res, socket) => {
+      const servername = parseAuthority(authority).host;
+      const secureSocket = tls.connect({ socket, servername, ca: getCertificateAuthorityPem() });
+      const req = https.request({
+        createConnection: () => secureSocket,
+        path,
+        headers: { host: authority }
+      }, response => readResponse(response).then(resolve, reject));
+      req.on('error', reject);
+      req.end();
+    });
+    connect.on('error', reject);
+    connect.end();
+  });
+}
+
+function requestThroughHttp2Tunnel(proxyPort, authority, path) {
+  return new Promise((resolve, reject) => {
+    const connect = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: authority });
+    connect.on('connect', (res, socket) => {
+      const session = http2.connect(`https://${authority}`, {
+        createConnection: () => tls.connect({
+          socket,
+          servername: parseAuthority(authority).host,
+          ca: getCertificateAuthorityPem(),
+          ALPNProtocols: ['h2']
+        })
+      });
+      session.on('error', reject);
+      const stream = session.request({ ':path': path });
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        session.close();
+        resolve({ body: JSON.parse(Buffer.concat(chunks).toString()) });
+      });
+      stream.on('error', reject);
+    });
+    connect.on('error', reject);
+    connect.end();
+  });
+}
+
+test('getProxyTarget reads the host of absolute request URIs only', () => {
+  assert.deepStrictEqual(
+    getProxyTarget({ originalUrl: 'http://api.example.com:8080/orders?id=1' }),
+    { host: 'api.example.com', port: 8080, scheme: 'HTTP' }
+  );
+  assert.deepStrictEqual(
+    getProxyTarget({ originalUrl: 'https://api.example.com/orders' }),
+    { host: 'api.example.com', port: 443, scheme: 'HTTPS' }
+  );
+  assert.strictEqual(getProxyTarget({ originalUrl: '/orders' }), null);
+  assert.strictEqual(
+    getProxyTarget({ originalUrl: 'http://localhost:1080/mockserver/expectation', socket: { localPort: 1080 } }),
+    null
+  );
+});
+
+test('parseAuthority splits CONNECT targets', () => {
+  assert.deepStrictEqual(parseAuthority('api.example.com:8443'), { host: 'api.example.com', port: 8443 });
+  assert.deepStrictEqual(parseAuthority('[::1]:443'), { host: '::1', port: 443 });
+});
+
+test('buildPassThroughRequest drops headers addressed to the proxy', () => {
+  const request = buildPassThroughRequest({
+    method: 'GET',
+    path: '/',
+    headers: { 'proxy-authorization': 'Basic eA==', 'Proxy-Connection': 'keep-alive', accept: '*/*' }
+  });
+  assert.deepStrictEqual(request.headers, { accept: '*/*' });
+});
+
+test('proxy passes unmatched absolute-URI requests through to their host', async () => {
+  await clearExpectations();
+  clearRequestHistory();
+  const servers = await startServers();
+
+  try {
+    const response = await requestThroughProxy(servers.proxyPort, `http://127.0.0.1:${servers.upstreamPort}/api/orders?id=7`);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { upstream: true, url: '/api/orders?id=7', proxyHeader: null });
+    assert.ok(getRequestHistory().some(request => request.path === '/api/orders'));
+  } finally {
+    await servers.close();
+  }
+});
+
+test('proxy mocks absolute-URI requests that match an expectation', async () => {
+  await clearExpectations();
+  const servers = await startServers();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/orders' },
+    httpResponse: { statusCode: 200, body: { mocked: true } }
+  });
+
+  try {
+    const response = await requestThroughProxy(servers.proxyPort, `http://127.0.0.1:${servers.upstreamPort}/api/orders`);
+
+    assert.deepStrictEqual(response.body, { mocked: true });
+  } finally {
+    await servers.close();
+    await clearExpectations();
+  }
+});
+
+test('proxy serves plain HTTP sent through a CONNECT tunnel', async () => {
+  await clearExpectations();
+  clearRequestHistory();
+  const servers = await startServers();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/mocked' },
+    httpResponse: { statusCode: 200, body: { mocked: true } }
+  });
+
+  try {
+    const authority = `127.0.0.1:${servers.upstreamPort}`;
+
+    const mocked = await requestThroughTunnel(servers.proxyPort, authority, '/api/mocked');
+    assert.deepStrictEqual(mocked.body, { mocked: true });
+
+    const passedThrough = await requestThroughTunnel(servers.proxyPort, authority, '/api/other');
+    assert.strictEqual(passedThrough.body.upstream, true);
+    assert.strictEqual(passedThrough.body.url, '/api/other');
+
+    assert.ok(getRequestHistory().some(request => request.method === 'CONNECT' && request.path === authority));
+  } finally {
+    await servers.close();
+    await clearExpectations();
+  }
+});
+
+test('proxy terminates TLS sent through a CONNECT tunnel with a certificate from the CA', async () => {
+  await clearExpectations();
+  const servers = await startServers();
+  const secureUpstream = https.createServer(getServerCertificate('127.0.0.1'), (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ upstream: true, url: req.url }));
+  });
+  const secureUpstreamPort = await listen(secureUpstream);
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/mocked', secure: true },
+    httpResponse: { statusCode: 200, body: { mocked: true } }
+  });
+
+  try {
+    const authority = `localhost:${secureUpstreamPort}`;
+
+    const mocked = await requestThroughSecureTunnel(servers.proxyPort, authority, '/api/mocked');
+    assert.deepStrictEqual(mocked.body, { mocked: true });
+
+    const passedThrough = await requestThroughSecureTunnel(servers.proxyPort, `127.0.0.1:${secureUpstreamPort}`, '/api/other');
+    assert.deepStrictEqual(passedThrough.body, { upstream: true, url: '/api/other' });
+  } finally {
+    secureUpstream.closeAllConnections();
+    secureUpstream.close();
+    await servers.close();
+    await clearExpectations();
+  }
+});
+
+test('proxy serves HTTP/2 negotiated inside a CONNECT tunnel', async () => {
+  await clearExpectations();
+  const servers = await startServers();
+  const secureUpstream = https.createServer(getServerCertificate('localhost'), (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ upstream: true, url: req.url }));
+  });
+  const secureUpstreamPort = await listen(secureUpstream);
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/mocked', protocol: 'HTTP_2' },
+    httpResponse: { statusCode: 200, body: { mocked: true } }
+  });
+
+  try {
+    const authority = `localhost:${secureUpstreamPort}`;
+
+    const mocked = await requestThroughHttp2Tunnel(servers.proxyPort, authority, '/api/mocked');
+    assert.deepStrictEqual(mocked.body, { mocked: true });
+
+    const passedThrough = await requestThroughHttp2Tunnel(servers.proxyPort, authority, '/api/other');
+    assert.deepStrictEqual(passedThrough.body, { upstream: true, url: '/api/other' });
+  } finally {
+    secureUpstream.closeAllConnections();
+    secureUpstream.close();
+    await servers.close();
+    await clearExpectations();
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for expectations recorded from forwarded traffic
+ * @module test/http-forwarding/recordedExpectation.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import zlib from 'node:zlib';
+import { buildRecordedExpectation } from '../../app/http-forwarding/recordedExpectation.js';
+import { validateExpectation } from '../../app/expectations/expectationValidator.js';
+
+function createRequest(overrides = {}) {
+  return {
+    method: 'GET',
+    path: '/api/orders',
+    query: {},
+    headers: { host: 'localhost:1080' },
+    body: {},
+    ...overrides
+  };
+}
+
+test('buildRecordedExpectation stores gzipped JSON responses decompressed and parsed', () => {
+  const expectation = buildRecordedExpectation(createRequest(), {
+    status: 200,
+    headers: {
+      'content-type': 'application/json',
+      'content-encoding': 'gzip',
+      'content-length': '42',
+      'x-trace-id': 'abc'
+    },
+    body: zlib.gzipSync(JSON.stringify({ orders: [{ id: 1 }] }))
+  });
+
+  assert.deepStrictEqual(expectation.httpRequest, { method: 'GET', path: '/api/orders' });
+  assert.deepStrictEqual(expectation.httpResponse, {
+    statusCode: 200,
+    headers: { 'content-type': ['application/json'], 'x-trace-id': ['abc'] },
+    body: { orders: [{ id: 1 }] }
+  });
+  assert.deepStrictEqual(expectation.times, { unlimited: true });
+});
+
+test('buildRecordedExpectation stores text as a string and other content as base64', () => {
+  const text = buildRecordedExpectation(createRequest(), {
+    status: 404,
+    headers: { 'content-type': 'text/plain; charset=utf-8' },
+    body: Buffer.from('not found')
+  });
+  assert.strictEqual(text.httpResponse.body, 'not found');
+
+  const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const binary = buildRecordedExpectation(createRequest(), {
+    status: 200,
+    headers: { 'content-type': 'image/png' },
+    body: bytes
+  });
+  assert.deepStrictEqual(binary.httpResponse.body, { type: 'BINARY', base64Bytes: bytes.toString('base64') });
+});
+
+test('buildRecordedExpectation matches on the query string and body of the request', () => {
+  const expectation = buildRecordedExpectation(
+    createRequest({ method: 'POST', query: { expand: 'items', tag: ['a', 'b'] }, body: { name: 'Widget' } }),
+    { status: 201, headers: {}, body: Buffer.alloc(0) }
+  );
+
+  assert.deepStrictEqual(expectation.httpRequest, {
+    method: 'POST',
+    path: '/api/orders',
+    queryStringParameters: { expand: ['items'], tag: ['a', 'b'] },
+    body: { type: 'json', value: { name: 'Widget' } }
+  });
+  assert.deepStrictEqual(expectation.httpResponse, { statusCode: 201, headers: {} });
+});
+
+test('recorded expectations pass expectation validation', () => {
+  const expectation = buildRecordedExpectation(
+    createRequest({ method: 'POST', body: { name: 'Widget' } }),
+    { status: 200, headers: { 'content-type': 'application/octet-stream' }, body: Buffer.from([1, 2, 3]) }
+  );
+
+  assert.strictEqual(validateExpectation(expectation), null);
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for serving the Express application over HTTP/2
+ * @module test/http2/http2Server.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import http2 from 'node:http2';
+import { once } from 'node:events';
+import express from 'express';
+import { addExpectation, clearExpectations } from '../../app/expectations/expectationStore.js';
+import { requestHandler } from '../../app/request-handling/requestHandler.js';
+import { getRequestHistory, clearRequestHistory } from '../../app/api/handlers/retrieveHandler.js';
+import { createHttp2Server, toHttp1Headers } from '../../app/http2/http2Server.js';
+
+async function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.post('/echo', (req, res) => res.status(201).set('X-Echo', 'yes').json({ body: req.body, path: req.path, query: req.query }));
+  app.use(requestHandler);
+  app.use((req, res) => res.status(404).json({ error: 'Not Found' }));
+
+  const server = createHttp2Server(app);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const session = http2.connect(`http://127.0.0.1:${server.address().port}`);
+  return {
+    session,
+    close() {
+      session.destroy();
+      server.close();
+    }
+  };
+}
+
+function send(session, headers, body) {
+  return new Promise((resolve, reject) => {
+    const stream = session.request(headers);
+    const chunks = [];
+    let responseHeaders;
+    stream.on('response', received => { responseHeaders = received; });
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve({ headers: responseHeaders, body: Buffer.concat(chunks).toString() }));
+    stream.on('error', reject);
+    stream.end(body);
+  });
+}
+
+test('toHttp1Headers drops pseudo-headers and keeps the authority as host', () => {
+  assert.deepStrictEqual(
+    toHttp1Headers({ ':method': 'GET', ':path': '/', ':authority': 'api.example.com', accept: '*/*' }),
+    { accept: '*/*', host: 'api.example.com' }
+  );
+
+  const http1Headers = { host: 'api.example.com' };
+  assert.strictEqual(toHttp1Headers(http1Headers), http1Headers);
+});
+
+test('Express requests and responses work over HTTP/2', async () => {
+  const server = await startServer();
+
+  try {
+    const response = await send(server.session, {
+      ':method': 'POST',
+      ':path': '/echo?id=7',
+      'content-type': 'application/json'
+    }, JSON.stringify({ name: 'order' }));
+
+    assert.strictEqual(response.headers[':status'], 201);
+    assert.strictEqual(response.headers['x-echo'], 'yes');
+    assert.deepStrictEqual(JSON.parse(response.body), { body: { name: 'order' }, path: '/echo', query: { id: '7' } });
+  } finally {
+    server.close();
+  }
+});
+
+test('mocked responses over HTTP/2 leave out connection-specific headers', async () => {
+  await clearExpectations();
+  clearRequestHistory();
+  const server = await startServer();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/orders', protocol: 'HTTP_2' },
+    httpResponse: { statusCode: 200, headers: { Connection: ['keep-alive'], 'X-Mocked': ['true'] }, body: 'mocked' }
+  });
+
+  try {
+    const response = await send(server.session, { ':path': '/api/orders', ':authority': 'orders.example.com' });
+
+    assert.strictEqual(response.headers[':status'], 200);
+    assert.strictEqual(response.headers['x-mocked'], 'true');
+    assert.strictEqual(response.headers.connection, undefined);
+    assert.strictEqual(response.body, 'mocked');
+
+    const recorded = getRequestHistory().find(request => request.path === '/api/orders');
+    assert.strictEqual(recorded.protocol, 'HTTP_2');
+    assert.strictEqual(recorded.headers.host, 'orders.example.com');
+    assert.strictEqual(recorded.headers[':path'], undefined);
+  } finally {
+    server.close();
+    await clearExpectations();
+  }
+});
+
+test('dropping the connection over HTTP/2 ends the session', async () => {
+  await clearExpectations();
+  const server = await startServer();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/unreliable' },
+    httpError: { dropConnection: true }
+  });
+
+  try {
+    const closed = once(server.session, 'close');
+    const response = await send(server.session, { ':path': '/api/unreliable' }).catch(error => ({ error }));
+    await closed;
+
+    assert.strictEqual(response.headers, undefined);
+  } finally {
+    server.close();
+    await clearExpectations();
+  }
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for OpenAPI example responses
+ * @module test/openapi/exampleGenerator.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { loadSpec } from '../../app/openapi/specLoader.js';
+import { findOperation } from '../../app/openapi/openapiMatcher.js';
+import { generateExample, buildExampleResponse } from '../../app/openapi/exampleGenerator.js';
+
+const PETSTORE_PATH = fileURLToPath(new URL('./fixtures/petstore.yaml', import.meta.url));
+
+test('generateExample builds values from schemas and their examples', () => {
+  const spec = loadSpec(PETSTORE_PATH);
+
+  assert.deepStrictEqual(generateExample(spec, { $ref: '#/components/schemas/Pet' }), {
+    name: 'string',
+    tag: 'string',
+    id: 42
+  });
+  assert.deepStrictEqual(generateExample(spec, { type: 'string', format: 'date-time' }), '2024-01-01T00:00:00Z');
+  assert.deepStrictEqual(generateExample(spec, { type: 'string', enum: ['available', 'sold'] }), 'available');
+  assert.deepStrictEqual(generateExample(spec, { type: 'integer', minimum: 5 }), 5);
+});
+
+test('buildExampleResponse uses the first 2xx response by default', () => {
+  const spec = loadSpec(PETSTORE_PATH);
+
+  assert.deepStrictEqual(buildExampleResponse(spec, findOperation(spec, 'listPets')), {
+    statusCode: 200,
+    headers: { 'content-type': ['application/json'] },
+    body: [{ name: 'string', tag: 'string', id: 42 }]
+  });
+
+  assert.deepStrictEqual(buildExampleResponse(spec, findOperation(spec, 'createPet')).body, { id: 1, name: 'Rex' });
+});
+
+test('buildExampleResponse uses named examples of a requested status code', () => {
+  const spec = loadSpec(PETSTORE_PATH);
+  const response = buildExampleResponse(spec, findOperation(spec, 'showPetById'), 404);
+
+  assert.strictEqual(response.statusCode, 404);
+  assert.deepStrictEqual(response.body, { message: 'Pet not found' });
+  assert.throws(() => buildExampleResponse(spec, findOperation(spec, 'showPetById'), 500), /has no 500 response/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for OpenAPI request matching
+ * @module test/openapi/openapiMatcher.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { loadSpec } from '../../app/openapi/specLoader.js';
+import {
+  listOperations,
+  matchesOpenAPIDefinition,
+  resolveOperation,
+  validateOpenAPIDefinition
+} from '../../app/openapi/openapiMatcher.js';
+import { validateExpectation } from '../../app/expectations/expectationValidator.js';
+
+const PETSTORE_PATH = fileURLToPath(new URL('./fixtures/petstore.yaml', import.meta.url));
+const PETSTORE_YAML = fs.readFileSync(PETSTORE_PATH, 'utf8');
+
+function createRequest(method, requestPath, { query = {}, headers = {}, body } = {}) {
+  return {
+    method,
+    path: requestPath,
+    query,
+    headers,
+    body: body === undefined ? {} : body,
+    rawBody: body === undefined ? undefined : JSON.stringify(body)
+  };
+}
+
+test('loadSpec parses inline YAML and JSON specifications', () => {
+  const yamlSpec = loadSpec(PETSTORE_YAML);
+  assert.strictEqual(yamlSpec.info.title, 'Petstore');
+
+  const jsonSpec = loadSpec(JSON.stringify({ openapi: '3.1.0', info: { title: 'Json', version: '1' }, paths: {} }));
+  assert.strictEqual(jsonSpec.info.title, 'Json');
+
+  assert.throws(() => loadSpec('{"swagger": "2.0"}'), /only OpenAPI 3.x is supported/);
+  assert.throws(() => loadSpec('./missing-spec.yaml'), /OpenAPI specification not found/);
+});
+
+test('loadSpec reads specifications from a local file', () => {
+  assert.strictEqual(loadSpec(PETSTORE_PATH).info.title, 'Petstore');
+  assert.deepStrictEqual(
+    listOperations(loadSpec(PETSTORE_PATH)).map(operation => operation.operationId),
+    ['listPets', 'createPet', 'showPetById']
+  );
+});
+
+test('matchesOpenAPIDefinition matches method and templated path with base path', () => {
+  const definition = { specUrlOrPayload: PETSTORE_YAML, operationId: 'showPetById' };
+  const headers = { 'x-request-id': 'abc' };
+
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets/7', { headers }), definition), true);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/v1/pets/7', { headers }), definition), true);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('DELETE', '/pets/7', { headers }), definition), false);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets/7/toys', { headers }), definition), false);
+});
+
+test('matchesOpenAPIDefinition validates parameters against their schemas', () => {
+  const showPet = { specUrlOrPayload: PETSTORE_YAML, operationId: 'showPetById' };
+  const listPets = { specUrlOrPayload: PETSTORE_YAML, operationId: 'listPets' };
+
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets/abc', { headers: { 'x-request-id': '1' } }), showPet), false);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets/7'), showPet), false);
+
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets', { query: { limit: '10' } }), listPets), true);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets', { query: { limit: '500' } }), listPets), false);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('GET', '/pets'), listPets), true);
+});
+
+test('matchesOpenAPIDefinition validates the request body schema', () => {
+  const createPet = { specUrlOrPayload: PETSTORE_YAML, operationId: 'createPet' };
+  const headers = { 'content-type': 'application/json' };
+
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('POST', '/pets', { headers, body: { name: 'Rex' } }), createPet), true);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('POST', '/pets', { headers, body: { tag: 'dog' } }), createPet), false);
+  assert.strictEqual(matchesOpenAPIDefinition(createRequest('POST', '/pets', { headers }), createPet), false);
+  assert.strictEqual(
+    matchesOpenAPIDefinition(createRequest('POST', '/pets', { headers: { 'content-type': 'text/plain' }, body: 'Rex' }), createPet),
+    false
+  );
+});
+
+test('resolveOperation finds the operation when no operationId is given', () => {
+  const resolved = resolveOperation(createRequest('GET', '/pets'), { specUrlOrPayload: PETSTORE_YAML });
+  assert.strictEqual(resolved.operation.operationId, 'listPets');
+});
+
+test('validateOpenAPIDefinition reports unknown operations and invalid specs', () => {
+  assert.strictEqual(validateOpenAPIDefinition({ specUrlOrPayload: PETSTORE_YAML, operationId: 'listPets' }), null);
+  assert.match(validateOpenAPIDefinition({ specUrlOrPayload: PETSTORE_YAML, operationId: 'nope' }), /Operation nope not found/);
+
+  assert.strictEqual(validateExpectation({ httpRequest: { specUrlOrPayload: PETSTORE_YAML, operationId: 'listPets' } }), null);
+  assert.notStrictEqual(validateExpectation({ httpRequest: { path: '/pets' } }), null);
+});
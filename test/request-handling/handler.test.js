@@ -8,6 +8,14 @@ import assert from 'node:assert';
 import { initializeStore, addExpectation, clearExpectations } from '../../app/expectations/expectationStore.js';
 import { requestHandler } from '../../app/request-handling/requestHandler.js';
 import { logRequestReceived, logResponseSent } from '../../app/utils/logger.js';
+import { getRequestResponseHistory, getRecordedExpectations, clearRequestHistory, setExpectationRecording } from '../../app/api/handlers/retrieveHandler.js';
+import { setCallbackDirectory } from '../../app/callbacks/classCallbacks.js';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import zlib from 'node:zlib';
 
 
 function createMockRequest(method = 'GET', path = '/api/resource', body = {}, query = {}, headers = {}) {
@@ -266,4 +274,579 @@ test('requestHandler handles error during response', async () => {
 
   
   await clearExpectations();
-}); 
\ No newline at end of file
+});
+
+test('requestHandler exposes templated path parameters to response templates', async () => {
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/users/{userId}',
+      pathParameters: { userId: ['[0-9]+'] }
+    },
+    httpResponseTemplate: {
+      templateType: 'JAVASCRIPT',
+      template: 'return { statusCode: 200, body: { userId: request.pathParameters.userId[0] } };'
+    }
+  });
+
+  const res = createMockResponse();
+  await requestHandler(createMockRequest('GET', '/api/users/42'), res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body, { userId: '42' });
+
+  await clearExpectations();
+});
+
+test('requestHandler sets response cookies next to Set-Cookie headers', async () => {
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'POST',
+      path: '/api/login',
+      cookies: { consent: 'yes' }
+    },
+    httpResponse: {
+      statusCode: 204,
+      headers: { 'Set-Cookie': ['legacy=1'] },
+      cookies: [{ name: 'session', value: 'abc', path: '/', httpOnly: true, sameSite: 'Strict' }]
+    }
+  });
+
+  const res = createMockResponse();
+  await requestHandler(createMockRequest('POST', '/api/login', {}, {}, { cookie: 'consent=yes' }), res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.statusCode, 204);
+  assert.deepStrictEqual(res.headers['Set-Cookie'], ['legacy=1', 'session=abc; Path=/; HttpOnly; SameSite=Strict']);
+
+  await clearExpectations();
+});
+
+test('requestHandler sends every value of multi-valued response headers', async () => {
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/multi' },
+    httpResponse: {
+      statusCode: 200,
+      headers: [
+        { name: 'content-type', values: ['text/plain'] },
+        { name: 'x-trace', values: ['first', 'second'] }
+      ],
+      body: 'ok'
+    }
+  });
+
+  const res = createMockResponse();
+  await requestHandler(createMockRequest('GET', '/api/multi'), res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.headers['content-type'], 'text/plain');
+  assert.deepStrictEqual(res.headers['x-trace'], ['first', 'second']);
+
+  await clearExpectations();
+});
+
+test('requestHandler renders httpResponseTemplate expectations', async () => {
+  
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/templated'
+    },
+    httpResponseTemplate: {
+      templateType: 'JAVASCRIPT',
+      template: 'return { statusCode: 202, body: { echoed: request.queryStringParameters.name } };'
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/templated', {}, { name: 'mocksrv' });
+  const res = createMockResponse();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.statusCode, 202);
+  assert.deepStrictEqual(res.body, { echoed: 'mocksrv' });
+
+  
+  await clearExpectations();
+});
+
+test('requestHandler renders mustache placeholders in httpResponse', async () => {
+  
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'POST',
+      path: '/api/echo'
+    },
+    httpResponse: {
+      templateType: 'MUSTACHE',
+      statusCode: 200,
+      headers: {
+        'x-trace-id': '{{request.headers.x-trace-id}}'
+      },
+      body: {
+        id: '{{request.body.id}}'
+      }
+    }
+  });
+
+  const req = createMockRequest('POST', '/api/echo', { id: 'order-1' }, {}, { 'x-trace-id': 'trace-9' });
+  const res = createMockResponse();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepStrictEqual(res.body, { id: 'order-1' });
+  assert.strictEqual(res.headers['x-trace-id'], 'trace-9');
+
+  
+  await clearExpectations();
+});
+
+function createMockSocket() {
+  return {
+    written: null,
+    ended: false,
+    destroyed: false,
+
+    end(data) {
+      this.written = data;
+      this.ended = true;
+    },
+
+    destroy() {
+      this.destroyed = true;
+    }
+  };
+}
+
+test('requestHandler drops the connection for httpError expectations', async () => {
+  
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/unreachable'
+    },
+    httpError: {
+      dropConnection: true
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/unreachable');
+  const res = createMockResponse();
+  res.socket = createMockSocket();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.socket.destroyed, true);
+  assert.strictEqual(res.body, null);
+
+  
+  await clearExpectations();
+});
+
+test('requestHandler writes raw bytes for httpError expectations', async () => {
+  
+  await clearExpectations();
+
+  const rawResponse = 'HTTP/1.1 200 OK\r\nContent-Length: 10\r\n\r\ntruncated';
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/garbage'
+    },
+    httpError: {
+      responseBytes: Buffer.from(rawResponse).toString('base64'),
+      delay: { timeUnit: 'MILLISECONDS', value: 20 }
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/garbage');
+  const res = createMockResponse();
+  res.socket = createMockSocket();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 80));
+
+  assert.strictEqual(res.socket.ended, true);
+  assert.strictEqual(res.socket.written.toString(), rawResponse);
+
+  
+  await clearExpectations();
+});
+
+test('requestHandler forwards httpOverrideForwardedRequest expectations with modifications', async () => {
+  
+  await clearExpectations();
+
+  const upstream = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('X-Powered-By', 'upstream');
+    res.end(JSON.stringify({ url: req.url, authorization: req.headers.authorization || null }));
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/v1/orders'
+    },
+    httpOverrideForwardedRequest: {
+      requestOverride: {
+        socketAddress: { host: 'localhost', port: upstream.address().port, scheme: 'HTTP' }
+      },
+      requestModifier: {
+        path: { regex: '^/api/v1', substitution: '' },
+        headers: { add: { Authorization: ['Bearer injected'] } }
+      },
+      responseOverride: { statusCode: 203 },
+      responseModifier: { headers: { remove: ['X-Powered-By'] } }
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/v1/orders');
+  const res = createMockResponse();
+
+  try {
+    await requestHandler(req, res, () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual(res.statusCode, 203);
+    assert.deepStrictEqual(JSON.parse(res.body.toString()), { url: '/orders', authorization: 'Bearer injected' });
+    assert.strictEqual(res.headers['x-powered-by'], undefined);
+  } finally {
+    upstream.close();
+    
+    await clearExpectations();
+  }
+});
+
+test('requestHandler skips httpOverrideForwardedRequest expectations whose headers do not match', async () => {
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/v1/orders',
+      headers: { 'X-Tenant': ['acme'] }
+    },
+    httpOverrideForwardedRequest: {
+      requestOverride: {
+        socketAddress: { host: 'localhost', port: 1, scheme: 'HTTP' }
+      }
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/v1/orders', {}, {}, { 'x-tenant': 'other' });
+  const res = createMockResponse();
+  let nextCalled = false;
+
+  try {
+    await requestHandler(req, res, () => {
+      nextCalled = true;
+    });
+
+    assert.strictEqual(nextCalled, true);
+  } finally {
+    await clearExpectations();
+  }
+});
+
+test('requestHandler forwards to the target computed by httpForwardTemplate', async () => {
+  
+  await clearExpectations();
+  clearRequestHistory();
+
+  const upstream = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ url: req.url, tenant: req.headers['x-tenant'] }));
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+  const { port } = upstream.address();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/orders'
+    },
+    httpForwardTemplate: {
+      templateType: 'JAVASCRIPT',
+      template: `return {
+        path: '/' + request.headers['x-tenant'] + request.path,
+        headers: { 'X-Tenant': [request.headers['x-tenant']] },
+        socketAddress: { host: 'localhost', port: ${port}, scheme: 'HTTP' }
+      };`
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/orders', {}, {}, { 'x-tenant': 'acme' });
+  const res = createMockResponse();
+
+  try {
+    await requestHandler(req, res, () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(res.body.toString()), { url: '/acme/api/orders', tenant: 'acme' });
+
+    const [recorded] = getRequestResponseHistory().slice(-1);
+    assert.strictEqual(recorded.httpRequest.path, '/api/orders');
+    assert.strictEqual(recorded.forwardedHttpRequest.path, '/acme/api/orders');
+  } finally {
+    upstream.close();
+    
+    await clearExpectations();
+  }
+});
+
+test('requestHandler records forwarded requests as expectations that replay them', async () => {
+  
+  await clearExpectations();
+  clearRequestHistory();
+
+  const upstream = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Encoding', 'gzip');
+    res.end(zlib.gzipSync(JSON.stringify({ id: 42 })));
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+  const { port } = upstream.address();
+
+  await addExpectation({
+    httpRequest: {
+      path: '/api/orders/42'
+    },
+    httpForward: {
+      host: 'localhost',
+      port,
+      scheme: 'HTTP'
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/orders/42', {}, { expand: 'items' });
+  const res = createMockResponse();
+  setExpectationRecording(true);
+
+  try {
+    await requestHandler(req, res, () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const [recorded] = getRecordedExpectations();
+    assert.deepStrictEqual(recorded.httpRequest, {
+      method: 'GET',
+      path: '/api/orders/42',
+      queryStringParameters: { expand: ['items'] }
+    });
+    assert.strictEqual(recorded.httpResponse.statusCode, 200);
+    assert.deepStrictEqual(recorded.httpResponse.body, { id: 42 });
+    assert.strictEqual(recorded.httpResponse.headers['content-encoding'], undefined);
+
+    clearRequestHistory({ path: '/api/orders/42' });
+    assert.strictEqual(getRecordedExpectations().length, 0);
+  } finally {
+    setExpectationRecording(false);
+    upstream.close();
+    
+    await clearExpectations();
+  }
+});
+
+test('requestHandler does not record forwarded requests unless recording is on', async () => {
+  await clearExpectations();
+  clearRequestHistory();
+
+  const upstream = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ id: 42 }));
+  });
+  upstream.listen(0);
+  await once(upstream, 'listening');
+
+  await addExpectation({
+    httpRequest: { path: '/api/orders/42' },
+    httpForward: { host: 'localhost', port: upstream.address().port, scheme: 'HTTP' }
+  });
+
+  try {
+    await requestHandler(createMockRequest('GET', '/api/orders/42'), createMockResponse(), () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual(getRequestResponseHistory().length, 1);
+    assert.strictEqual(getRecordedExpectations().length, 0);
+  } finally {
+    upstream.close();
+    await clearExpectations();
+  }
+});
+
+test('requestHandler decodes BINARY response bodies', async () => {
+  
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/logo.png'
+    },
+    httpResponse: {
+      statusCode: 200,
+      body: { type: 'BINARY', base64Bytes: Buffer.from([0x89, 0x50]).toString('base64') }
+    }
+  });
+
+  const req = createMockRequest('GET', '/logo.png');
+  const res = createMockResponse();
+
+  try {
+    await requestHandler(req, res, () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepStrictEqual(res.body, Buffer.from([0x89, 0x50]));
+  } finally {
+    
+    await clearExpectations();
+  }
+});
+
+test('requestHandler sends the response returned by httpResponseClassCallback', async () => {
+  
+  await clearExpectations();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mocksrv-callbacks-'));
+  fs.writeFileSync(path.join(dir, 'OrderCallback.js'),
+    'export function handle(request) { return { statusCode: 201, body: { tenant: request.headers["x-tenant"] } }; }\n');
+  setCallbackDirectory(dir);
+
+  await addExpectation({
+    httpRequest: {
+      method: 'POST',
+      path: '/api/orders'
+    },
+    httpResponseClassCallback: {
+      callbackClass: 'OrderCallback'
+    }
+  });
+
+  const req = createMockRequest('POST', '/api/orders', {}, {}, { 'x-tenant': 'acme' });
+  const res = createMockResponse();
+
+  try {
+    await requestHandler(req, res, () => {
+      assert.fail('next() should not be called when expectation matches');
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(res.body, { tenant: 'acme' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    
+    await clearExpectations();
+  }
+});
+
+test('requestHandler returns the fallback response when the callback client is not connected', async () => {
+  
+  await clearExpectations();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/callback'
+    },
+    httpResponseObjectCallback: {
+      clientId: 'disconnected-client'
+    }
+  });
+
+  const req = createMockRequest('GET', '/api/callback');
+  const res = createMockResponse();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(res.body.clientId, 'disconnected-client');
+  assert.match(res.body.message, /is not connected/);
+
+  
+  await clearExpectations();
+});
+
+test('requestHandler answers OpenAPI expectations with example responses', async () => {
+  
+  await clearExpectations();
+
+  const specPath = new URL('../openapi/fixtures/petstore.yaml', import.meta.url).pathname;
+  await addExpectation({
+    httpRequest: {
+      specUrlOrPayload: specPath,
+      operationId: 'createPet'
+    }
+  });
+
+  const req = createMockRequest('POST', '/v1/pets', { name: 'Rex' }, {}, { 'content-type': 'application/json' });
+  const res = createMockResponse();
+
+  await requestHandler(req, res, () => {
+    assert.fail('next() should not be called when expectation matches');
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(res.body, { id: 1, name: 'Rex' });
+
+  const unmatched = createMockRequest('POST', '/v1/pets', { tag: 'dog' }, {}, { 'content-type': 'application/json' });
+  let nextCalled = false;
+  await requestHandler(unmatched, createMockResponse(), () => {
+    nextCalled = true;
+  });
+  assert.strictEqual(nextCalled, true);
+
+  
+  await clearExpectations();
+});
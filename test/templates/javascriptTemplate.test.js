@@ -0,0 +1,78 @@
+/**
+ * Tests for JavaScript templates
+ * @module test/templates/javascriptTemplate.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { evaluateJavaScriptTemplate } from '../../app/templates/javascriptTemplate.js';
+import { buildTemplateRequest, renderTemplate } from '../../app/templates/templateEngine.js';
+
+const request = {
+  method: 'POST',
+  path: '/api/orders',
+  query: { expand: 'items' },
+  headers: { 'x-trace-id': 'abc' },
+  body: '{"id": 42}'
+};
+
+test('buildTemplateRequest exposes method, path, query, headers and parsed body', (t) => {
+  assert.deepStrictEqual(buildTemplateRequest(request), {
+    method: 'POST',
+    path: '/api/orders',
+    pathParameters: {},
+    queryStringParameters: { expand: 'items' },
+    headers: { 'x-trace-id': 'abc' },
+    body: { id: 42 }
+  });
+});
+
+test('evaluateJavaScriptTemplate returns the object produced by the template', (t) => {
+  const response = evaluateJavaScriptTemplate(
+    'return { statusCode: 201, headers: { "x-trace-id": request.headers["x-trace-id"] }, body: { id: request.body.id } };',
+    buildTemplateRequest(request)
+  );
+
+  assert.deepStrictEqual(response, {
+    statusCode: 201,
+    headers: { 'x-trace-id': 'abc' },
+    body: { id: 42 }
+  });
+});
+
+test('evaluateJavaScriptTemplate stops runaway templates', (t) => {
+  assert.throws(
+    () => evaluateJavaScriptTemplate('while (true) {}', {}, { timeout: 50 }),
+    /timed out after 50ms/
+  );
+});
+
+test('evaluateJavaScriptTemplate does not expose the host environment', (t) => {
+  assert.throws(
+    () => evaluateJavaScriptTemplate('return { statusCode: process.pid };', {}),
+    /process is not defined/
+  );
+  assert.throws(
+    () => evaluateJavaScriptTemplate('return { body: eval("1 + 1") };', {}),
+    /JavaScript template failed/
+  );
+});
+
+test('evaluateJavaScriptTemplate does not let templates reach the host Function', (t) => {
+  assert.throws(
+    () => evaluateJavaScriptTemplate("return { body: String(this.constructor.constructor('return process')().pid) }", request),
+    /JavaScript template failed/
+  );
+});
+
+test('evaluateJavaScriptTemplate rejects templates that do not return an object', (t) => {
+  assert.throws(() => evaluateJavaScriptTemplate('const x = 1;', {}), /did not return an object/);
+  assert.throws(() => evaluateJavaScriptTemplate('return 5;', {}), /did not return an object/);
+});
+
+test('renderTemplate rejects unsupported template types', (t) => {
+  assert.throws(
+    () => renderTemplate({ templateType: 'VELOCITY', template: '{}' }, request),
+    /Unsupported template type: VELOCITY/
+  );
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for mustache-style templates
+ * @module test/templates/mustacheTemplate.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { renderMustache, renderMustacheValue } from '../../app/templates/mustacheTemplate.js';
+import { renderTemplate, renderResponsePlaceholders } from '../../app/templates/templateEngine.js';
+
+const templateRequest = {
+  method: 'POST',
+  path: '/api/orders',
+  pathParameters: {},
+  queryStringParameters: { q: 'hello%20world' },
+  headers: { 'x-trace-id': 'trace-1' },
+  body: { id: 7, items: [{ sku: 'A-1' }] }
+};
+
+test('renderMustache echoes request fields', (t) => {
+  assert.strictEqual(renderMustache('{{request.method}} {{ request.path }}', templateRequest), 'POST /api/orders');
+  assert.strictEqual(renderMustache('{{request.body.id}}', templateRequest), '7');
+  assert.strictEqual(renderMustache('{{request.headers.X-Trace-Id}}', templateRequest), 'trace-1');
+  assert.strictEqual(renderMustache('{{request.body.items}}', templateRequest), '{"sku":"A-1"}');
+  assert.strictEqual(renderMustache('[{{request.body.missing}}]', templateRequest), '[]');
+});
+
+test('renderMustache supports helpers', (t) => {
+  assert.match(renderMustache('{{uuid}}', templateRequest), /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.match(renderMustache('{{now}}', templateRequest), /^\d{4}-\d{2}-\d{2}T/);
+  assert.match(renderMustache('{{now "epoch"}}', templateRequest), /^\d{10}$/);
+
+  const dice = Number(renderMustache('{{randomInt 1 6}}', templateRequest));
+  assert.ok(dice >= 1 && dice <= 6);
+
+  assert.strictEqual(renderMustache("{{jsonPath '$.items[0].sku'}}", templateRequest), 'A-1');
+  assert.strictEqual(renderMustache('{{urlDecode request.queryStringParameters.q}}', templateRequest), 'hello world');
+});
+
+test('renderMustacheValue renders nested strings only', (t) => {
+  assert.deepStrictEqual(
+    renderMustacheValue({ id: '{{request.body.id}}', tags: ['{{request.method}}'], count: 1 }, templateRequest),
+    { id: '7', tags: ['POST'], count: 1 }
+  );
+});
+
+test('renderResponsePlaceholders renders body and header values', (t) => {
+  const response = renderResponsePlaceholders({
+    templateType: 'MUSTACHE',
+    statusCode: 200,
+    headers: { 'x-trace-id': ['{{request.headers.x-trace-id}}'] },
+    body: '{"id": "{{request.body.id}}"}'
+  }, { method: 'POST', path: '/api/orders', headers: { 'x-trace-id': 'trace-1' }, body: { id: 7 } });
+
+  assert.deepStrictEqual(response, {
+    statusCode: 200,
+    headers: { 'x-trace-id': ['trace-1'] },
+    body: '{"id": "7"}'
+  });
+});
+
+test('renderTemplate parses MUSTACHE templates as JSON responses', (t) => {
+  const response = renderTemplate(
+    { templateType: 'MUSTACHE', template: '{ "statusCode": 200, "body": "{{request.path}}" }' },
+    { method: 'GET', path: '/echo' }
+  );
+
+  assert.deepStrictEqual(response, { statusCode: 200, body: '/echo' });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the local certificate authority
+ * @module test/tls/certificateAuthority.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { X509Certificate } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  initializeCertificateAuthority,
+  getCertificateAuthorityPem,
+  getServerCertificate,
+  createClientCertificate
+} from '../../app/tls/certificateAuthority.js';
+
+test('getServerCertificate issues certificates for a hostname signed by the CA', () => {
+  initializeCertificateAuthority();
+  const ca = new X509Certificate(getCertificateAuthorityPem());
+  const { key, cert } = getServerCertificate('api.example.com');
+  const [leafPem] = cert.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  const leaf = new X509Certificate(leafPem);
+
+  assert.ok(ca.ca);
+  assert.ok(!leaf.ca);
+  assert.ok(leaf.checkIssued(ca));
+  assert.ok(leaf.verify(ca.publicKey));
+  assert.strictEqual(leaf.checkHost('api.example.com'), 'api.example.com');
+  assert.match(key, /PRIVATE KEY/);
+  assert.ok(cert.endsWith(getCertificateAuthorityPem()));
+  assert.strictEqual(getServerCertificate('API.example.com'), getServerCertificate('api.example.com'));
+});
+
+test('getServerCertificate covers loopback addresses for localhost', () => {
+  initializeCertificateAuthority();
+  const leaf = new X509Certificate(getServerCertificate('localhost').cert);
+
+  assert.strictEqual(leaf.checkHost('localhost'), 'localhost');
+  assert.strictEqual(leaf.checkIP('127.0.0.1'), '127.0.0.1');
+  assert.strictEqual(new X509Certificate(getServerCertificate('10.0.0.5').cert).checkIP('10.0.0.5'), '10.0.0.5');
+});
+
+test('initializeCertificateAuthority stores the generated CA and reuses it', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mocksrv-ca-'));
+  const options = {
+    certificatePath: path.join(dir, 'ca', 'ca.pem'),
+    privateKeyPath: path.join(dir, 'ca', 'ca-key.pem')
+  };
+
+  try {
+    const generated = initializeCertificateAuthority(options);
+    assert.strictEqual(fs.readFileSync(options.certificatePath, 'utf8'), generated);
+
+    const loaded = initializeCertificateAuthority(options);
+    assert.strictEqual(loaded, generated);
+
+    const leaf = new X509Certificate(getServerCertificate('api.example.com').cert);
+    assert.ok(leaf.verify(new X509Certificate(loaded).publicKey));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    initializeCertificateAuthority();
+  }
+});
+
+test('createClientCertificate issues client certificates signed by the CA', () => {
+  initializeCertificateAuthority();
+  const ca = new X509Certificate(getCertificateAuthorityPem());
+  const client = new X509Certificate(createClientCertificate('orders-service').cert);
+
+  assert.strictEqual(client.subject, 'CN=orders-service');
+  assert.ok(client.verify(ca.publicKey));
+  assert.deepStrictEqual(client.keyUsage, ['1.3.6.1.5.5.7.3.2']);
+});
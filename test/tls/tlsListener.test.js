@@ -0,0 +1,204 @@
+/**
+ * Tests for serving HTTP and HTTPS on the same port
+ * @module test/tls/tlsListener.test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import https from 'node:https';
+import http2 from 'node:http2';
+import { once } from 'node:events';
+import express from 'express';
+import { addExpectation, clearExpectations } from '../../app/expectations/expectationStore.js';
+import { requestHandler } from '../../app/request-handling/requestHandler.js';
+import apiRoutes from '../../app/api/routes.js';
+import { getCertificateAuthorityPem, createClientCertificate } from '../../app/tls/certificateAuthority.js';
+import { createDualProtocolListener, isTlsHandshake, isHttp2Preface, configureClientAuthentication } from '../../app/tls/tlsListener.js';
+import { createHttp2Server } from '../../app/http2/http2Server.js';
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(requestHandler);
+  app.use(apiRoutes);
+  app.use((req, res) => res.status(404).json({ error: 'Not Found' }));
+  return app;
+}
+
+async function startServer() {
+  const httpServer = http.createServer(createApp());
+  const http2Server = createHttp2Server(createApp());
+  const listener = createDualProtocolListener(httpServer, http2Server).listen(0, '127.0.0.1');
+  await once(listener, 'listening');
+
+  return {
+    port: listener.address().port,
+    close() {
+      listener.close();
+      httpServer.close(() => {});
+      http2Server.close(() => {});
+    }
+  };
+}
+
+function get(client, options) {
+  return new Promise((resolve, reject) => {
+    const req = client.get({ host: '127.0.0.1', agent: false, ...options }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+  });
+}
+
+function getOverHttp2(origin, path, options = {}) {
+  return new Promise((resolve, reject) => {
+    const session = http2.connect(origin, options);
+    session.on('error', reject);
+    const stream = session.request({ ':path': path });
+    const chunks = [];
+    let status;
+    stream.on('response', headers => { status = headers[':status']; });
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      session.close();
+      resolve({ status, alpnProtocol: session.alpnProtocol, body: Buffer.concat(chunks).toString() });
+    });
+    stream.on('error', reject);
+  });
+}
+
+test('isTlsHandshake recognises TLS client hellos', () => {
+  assert.strictEqual(isTlsHandshake(Buffer.from([0x16, 0x03, 0x01])), true);
+  assert.strictEqual(isTlsHandshake(Buffer.from('GET / HTTP/1.1\r\n')), false);
+});
+
+test('isHttp2Preface recognises HTTP/2 connections without TLS', () => {
+  assert.strictEqual(isHttp2Preface(Buffer.from('PRI * HTTP/2.0\r\n\r\nSM\r\n\r\n')), true);
+  assert.strictEqual(isHttp2Preface(Buffer.from('PRI * HT')), true);
+  assert.strictEqual(isHttp2Preface(Buffer.from('PUT / HTTP/1.1\r\n')), false);
+});
+
+test('listener serves HTTP/2 negotiated through ALPN and h2c on the same port', async () => {
+  await clearExpectations();
+  const server = await startServer();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/protocol', protocol: 'HTTP_2' },
+    httpResponse: { statusCode: 200, body: 'http2' }
+  });
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/protocol', protocol: 'HTTP_1_1' },
+    httpResponse: { statusCode: 200, body: 'http1' }
+  });
+
+  try {
+    const secure = await getOverHttp2(`https://localhost:${server.port}`, '/api/protocol', {
+      ca: getCertificateAuthorityPem()
+    });
+    assert.deepStrictEqual(secure, { status: 200, alpnProtocol: 'h2', body: 'http2' });
+
+    const cleartext = await getOverHttp2(`http://127.0.0.1:${server.port}`, '/api/protocol');
+    assert.strictEqual(cleartext.body, 'http2');
+
+    const http1 = await get(https, {
+      port: server.port,
+      path: '/api/protocol',
+      servername: 'localhost',
+      ca: getCertificateAuthorityPem()
+    });
+    assert.strictEqual(http1.body, 'http1');
+  } finally {
+    server.close();
+    await clearExpectations();
+  }
+});
+
+test('listener serves HTTPS with a certificate trusted through the CA, and plain HTTP', async () => {
+  await clearExpectations();
+  const server = await startServer();
+
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/secure-only', secure: true },
+    httpResponse: { statusCode: 200, body: 'secure' }
+  });
+  await addExpectation({
+    httpRequest: { method: 'GET', path: '/api/secure-only', secure: false },
+    httpResponse: { statusCode: 200, body: 'plain' }
+  });
+
+  try {
+    const secure = await get(https, {
+      port: server.port,
+      path: '/api/secure-only',
+      servername: 'localhost',
+      ca: getCertificateAuthorityPem()
+    });
+    assert.strictEqual(secure.body, 'secure');
+
+    const plain = await get(http, { port: server.port, path: '/api/secure-only' });
+    assert.strictEqual(plain.body, 'plain');
+  } finally {
+    server.close();
+    await clearExpectations();
+  }
+});
+
+test('GET /mockserver/certificate returns the CA certificate', async () => {
+  const server = await startServer();
+
+  try {
+    const response = await get(http, { port: server.port, path: '/mockserver/certificate' });
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /application\/x-pem-file/);
+    assert.strictEqual(response.body, getCertificateAuthorityPem());
+  } finally {
+    server.close();
+  }
+});
+
+test('listener exposes the client certificate to expectations', async () => {
+  await clearExpectations();
+  const server = await startServer();
+
+  await addExpectation({
+    httpRequest: {
+      method: 'GET',
+      path: '/api/partner',
+      clientCertificate: { subject: 'CN=partner.example.com', issuer: '.*CN=MockSrv Certificate Authority.*' }
+    },
+    httpResponse: { statusCode: 200, body: 'partner' }
+  });
+
+  const options = { port: server.port, path: '/api/partner', servername: 'localhost', ca: getCertificateAuthorityPem() };
+
+  try {
+    const withCertificate = await get(https, { ...options, ...createClientCertificate('partner.example.com') });
+    assert.strictEqual(withCertificate.body, 'partner');
+
+    const withoutCertificate = await get(https, options);
+    assert.strictEqual(withoutCertificate.status, 404);
+  } finally {
+    server.close();
+    await clearExpectations();
+  }
+});
+
+test('listener refuses clients without a trusted certificate when mutual TLS is required', async () => {
+  configureClientAuthentication({ required: true, trustedCertificates: getCertificateAuthorityPem() });
+  const server = await startServer();
+  const options = { port: server.port, path: '/mockserver/certificate', servername: 'localhost', ca: getCertificateAuthorityPem() };
+
+  try {
+    await assert.rejects(get(https, options));
+
+    const response = await get(https, { ...options, ...createClientCertificate('partner.example.com') });
+    assert.strictEqual(response.status, 200);
+  } finally {
+    server.close();
+    configureClientAuthentication();
+  }
+});